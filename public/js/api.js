@@ -3,17 +3,36 @@ const API_BASE = '/api';
 const ENDPOINTS = {
     CONFIG: `${API_BASE}/config`,
     GAMES: `${API_BASE}/games`,
+    SCAN: `${API_BASE}/games/scan`,
+    LAUNCH: `${API_BASE}/games/launch`,
+    RUNNING: `${API_BASE}/running`,
+    RUNNERS: `${API_BASE}/runners`,
+    COLLECTIONS: `${API_BASE}/collections`,
+    STEAMGRIDDB: `${API_BASE}/steamgriddb`,
+    AUTH: `${API_BASE}/auth`,
+    EVENTS: `${API_BASE}/events`,
     VALIDATE_DIRECTORY: `${API_BASE}/validate-directory`
 };
 
+// CSRF token of the login session, sent with every request
+let csrfToken = null;
+
+export function setCsrfToken(token) {
+    csrfToken = token;
+}
+
 // Helper function for API calls
 export async function apiFetch(endpoint, options = {}) {
+    // Passwords and session tokens stay out of the console
+    const isAuth = endpoint.startsWith(ENDPOINTS.AUTH);
+
     try {
-        console.log(`API Request: ${endpoint}`, options);
+        console.log(`API Request: ${endpoint}`, isAuth ? {method: options.method} : options);
 
         const response = await fetch(endpoint, {
             headers: {
                 'Content-Type': 'application/json',
+                ...(csrfToken ? {'X-CSRF-Token': csrfToken} : {}),
                 ...options.headers
             },
             ...options,
@@ -28,7 +47,12 @@ export async function apiFetch(endpoint, options = {}) {
             message: 'Invalid JSON response'
         }));
 
-        console.log(`API Response (${endpoint}):`, data);
+        console.log(`API Response (${endpoint}):`, isAuth ? response.status : data);
+
+        // Session expired or was ended on another tab
+        if (response.status === 401 && !isAuth) {
+            window.dispatchEvent(new CustomEvent('auth-required'));
+        }
 
         if (!response.ok) {
             const error = new Error(data.message || 'API request failed');
@@ -63,7 +87,10 @@ export async function saveConfig(config) {
                 : [],
             cardSize: ['small', 'medium', 'large', 'xlarge'].includes(config.cardSize)
                 ? config.cardSize
-                : 'medium'
+                : 'medium',
+            defaultRunner: config.defaultRunner || null,
+            directoryRunners: {...config.directoryRunners},
+            corsOrigins: Array.isArray(config.corsOrigins) ? [...config.corsOrigins] : []
         };
         
         console.log('Sending clean config to server:', cleanConfig);
@@ -87,10 +114,22 @@ export async function saveConfig(config) {
     }
 }
 
-export async function scanForGames() {
+export async function fetchGames() {
+    try {
+        return await apiFetch(ENDPOINTS.GAMES);
+    } catch (error) {
+        console.error('Error loading library:', error);
+        throw error;
+    }
+}
+
+export async function scanForGames(force = false) {
     try {
         console.log('Initiating game scan...');
-        const response = await apiFetch(ENDPOINTS.GAMES);
+        const response = await apiFetch(ENDPOINTS.SCAN, {
+            method: 'POST',
+            body: {force}
+        });
         console.log('Scan response:', response);
         return response;
     } catch (error) {
@@ -107,6 +146,210 @@ export async function scanForGames() {
     }
 }
 
+export async function launchGame(gameId, profileId, targetId) {
+    try {
+        return await apiFetch(ENDPOINTS.LAUNCH, {
+            method: 'POST',
+            body: {gameId, profileId, targetId}
+        });
+    } catch (error) {
+        console.error('Error launching game:', error);
+        throw error;
+    }
+}
+
+export async function fetchGameDetails(gameId) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/details`);
+    } catch (error) {
+        console.error('Error loading game details:', error);
+        throw error;
+    }
+}
+
+export async function fetchCollections() {
+    try {
+        return await apiFetch(ENDPOINTS.COLLECTIONS);
+    } catch (error) {
+        console.error('Error loading collections:', error);
+        throw error;
+    }
+}
+
+export async function setFavorite(gameId, favorite) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/favorite`, {
+            method: 'PUT',
+            body: {favorite}
+        });
+    } catch (error) {
+        console.error('Error saving favorite:', error);
+        throw error;
+    }
+}
+
+export async function fetchExecutables(gameId) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/executables`);
+    } catch (error) {
+        console.error('Error loading executables:', error);
+        throw error;
+    }
+}
+
+export async function openGameFolder(gameId) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/open-folder`, {method: 'POST'});
+    } catch (error) {
+        console.error('Error opening game folder:', error);
+        throw error;
+    }
+}
+
+export async function rescanGame(gameId) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/rescan`, {method: 'POST'});
+    } catch (error) {
+        console.error('Error rescanning game:', error);
+        throw error;
+    }
+}
+
+// Save user edits of a game; null resets a field to the detected value
+export async function updateGame(gameId, fields) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}`, {
+            method: 'PATCH',
+            body: fields
+        });
+    } catch (error) {
+        console.error('Error saving game:', error);
+        throw error;
+    }
+}
+
+// Artwork SteamGridDB has for a game; options are type, page, style and animated
+export async function fetchArtworkCandidates(gameId, options = {}) {
+    const params = new URLSearchParams(Object.entries(options)
+        .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/artwork-candidates?${params}`);
+    } catch (error) {
+        console.error('Error loading artwork candidates:', error);
+        throw error;
+    }
+}
+
+export async function searchSteamGridDB(query) {
+    try {
+        return await apiFetch(`${ENDPOINTS.STEAMGRIDDB}/search?q=${encodeURIComponent(query)}`);
+    } catch (error) {
+        console.error('Error searching SteamGridDB:', error);
+        throw error;
+    }
+}
+
+// Match a game with another SteamGridDB game by hand
+export async function matchGame(gameId, sgdbId) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/match`, {
+            method: 'PUT',
+            body: {sgdbId}
+        });
+    } catch (error) {
+        console.error('Error matching game:', error);
+        throw error;
+    }
+}
+
+export async function stopGame(gameId) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/stop`, {
+            method: 'POST'
+        });
+    } catch (error) {
+        console.error('Error stopping game:', error);
+        throw error;
+    }
+}
+
+export async function fetchGameSessions(gameId) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/sessions`);
+    } catch (error) {
+        console.error('Error loading play sessions:', error);
+        throw error;
+    }
+}
+
+export async function fetchLaunchProfiles(gameId) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/profiles`);
+    } catch (error) {
+        console.error('Error loading launch profiles:', error);
+        throw error;
+    }
+}
+
+export async function saveLaunchProfiles(gameId, profiles) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/profiles`, {
+            method: 'PUT',
+            body: {profiles}
+        });
+    } catch (error) {
+        console.error('Error saving launch profiles:', error);
+        throw error;
+    }
+}
+
+export async function saveLaunchTargets(gameId, targets) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/targets`, {
+            method: 'PUT',
+            body: {targets}
+        });
+    } catch (error) {
+        console.error('Error saving launch targets:', error);
+        throw error;
+    }
+}
+
+export async function saveGameRunner(gameId, runner, winePrefix) {
+    try {
+        return await apiFetch(`${ENDPOINTS.GAMES}/${encodeURIComponent(gameId)}/runner`, {
+            method: 'PUT',
+            body: {runner, winePrefix}
+        });
+    } catch (error) {
+        console.error('Error saving runner:', error);
+        throw error;
+    }
+}
+
+export async function fetchRunners() {
+    try {
+        return await apiFetch(ENDPOINTS.RUNNERS);
+    } catch (error) {
+        console.error('Error loading runners:', error);
+        throw error;
+    }
+}
+
+export async function fetchRunning() {
+    try {
+        return await apiFetch(ENDPOINTS.RUNNING);
+    } catch (error) {
+        console.error('Error loading running games:', error);
+        throw error;
+    }
+}
+
+// Open the server's live update stream; EventSource reconnects by itself
+export function openEventStream() {
+    return new EventSource(ENDPOINTS.EVENTS);
+}
+
 export async function validateDirectory(path) {
     try {
         return await apiFetch(ENDPOINTS.VALIDATE_DIRECTORY, {
@@ -118,3 +361,63 @@ export async function validateDirectory(path) {
         throw error;
     }
 }
+
+export async function fetchAuthStatus() {
+    try {
+        return await apiFetch(`${ENDPOINTS.AUTH}/status`);
+    } catch (error) {
+        console.error('Error loading login status:', error);
+        throw error;
+    }
+}
+
+export async function login(password) {
+    try {
+        return await apiFetch(`${ENDPOINTS.AUTH}/login`, {
+            method: 'POST',
+            body: {password}
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        throw error;
+    }
+}
+
+export async function logout() {
+    try {
+        return await apiFetch(`${ENDPOINTS.AUTH}/logout`, {method: 'POST'});
+    } catch (error) {
+        console.error('Error logging out:', error);
+        throw error;
+    }
+}
+
+export async function setPassword(password) {
+    try {
+        return await apiFetch(`${ENDPOINTS.AUTH}/password`, {
+            method: 'PUT',
+            body: {password}
+        });
+    } catch (error) {
+        console.error('Error setting password:', error);
+        throw error;
+    }
+}
+
+export async function disableLogin() {
+    try {
+        return await apiFetch(`${ENDPOINTS.AUTH}/password`, {method: 'DELETE'});
+    } catch (error) {
+        console.error('Error disabling login:', error);
+        throw error;
+    }
+}
+
+export async function createAccessToken() {
+    try {
+        return await apiFetch(`${ENDPOINTS.AUTH}/token`, {method: 'POST'});
+    } catch (error) {
+        console.error('Error creating access token:', error);
+        throw error;
+    }
+}
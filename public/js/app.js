@@ -1,12 +1,21 @@
 // Import modules
 import { initConfig } from './config.js';
+import { ensureLoggedIn, initSecuritySettings } from './auth.js';
 import { initUI, showPage } from './ui.js';
-import { loadGames, startAutoScan, launchGame } from './games.js';
+import { loadGames, startAutoScan, launchGame, stopGame, editLaunchProfiles, editGame, chooseExecutable, toggleFavorite, showGameDetails, refreshRunning, connectLibraryEvents, getGames, isRunning } from './games.js';
 import { showError } from './utils.js';
+import { initCollections } from './collections.js';
+import { initPalette } from './palette.js';
 
 // Make some functions and config available globally for HTML event handlers
 window.startAutoScan = startAutoScan;
 window.launchGame = launchGame;
+window.stopGame = stopGame;
+window.editLaunchProfiles = editLaunchProfiles;
+window.editGame = editGame;
+window.chooseExecutable = chooseExecutable;
+window.toggleFavorite = toggleFavorite;
+window.showGameDetails = showGameDetails;
 window.config = { cardSize: 'medium' }; // Default config
 // saveConfig and loadConfig will be set by initConfig
 
@@ -32,11 +41,27 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }, 50);
         
+        // Log in first when the server requires a password
+        await ensureLoggedIn(document.getElementById('login-page'));
+        
         // Initialize config first
         await initConfig({
             directoryList: document.getElementById('directory-list'),
             newDirectoryInput: document.getElementById('new-directory'),
-            addDirectoryBtn: document.getElementById('add-directory')
+            addDirectoryBtn: document.getElementById('add-directory'),
+            defaultRunnerSelect: document.getElementById('default-runner')
+        });
+        
+        initSecuritySettings({
+            passwordLabel: document.getElementById('auth-password-label'),
+            passwordInput: document.getElementById('auth-password'),
+            passwordBtn: document.getElementById('auth-password-btn'),
+            disableBtn: document.getElementById('auth-disable-btn'),
+            logoutBtn: document.getElementById('auth-logout-btn'),
+            tokenBtn: document.getElementById('auth-token-btn'),
+            tokenOutput: document.getElementById('auth-token'),
+            corsInput: document.getElementById('cors-origins'),
+            corsBtn: document.getElementById('cors-save-btn')
         });
         
         // Initialize UI after config is loaded
@@ -45,19 +70,27 @@ document.addEventListener('DOMContentLoaded', async () => {
             pages: document.querySelectorAll('.page'),
             searchInput: document.querySelector('.search-bar input'),
             refreshBtn: document.getElementById('refresh-btn'),
+            libraryToolbar: document.getElementById('library-toolbar'),
             navContainer: document.querySelector('.nav-container')
         });
         
-        // Load games from localStorage
-        loadGames();
+        initCollections(document.getElementById('collection-list'));
+        initPalette({ getGames, isRunning });
+        
+        // Load games from the server-side library
+        await loadGames();
+        await refreshRunning();
+
+        // Keep the grid up to date as games are added or removed on disk
+        connectLibraryEvents();
         
         // Show the default page based on URL hash or default to 'library'
         const defaultPage = window.location.hash ? 
             window.location.hash.substring(1) : 'library';
         showPage(defaultPage);
         
-        // Initial scan if on the library page
-        if (defaultPage === 'library') {
+        // Initial scan if on the library page, with or without filters
+        if (defaultPage.split('?')[0] === 'library') {
             await startAutoScan();
         }
     } catch (error) {
@@ -0,0 +1,211 @@
+import {fetchArtworkCandidates, searchSteamGridDB, matchGame, updateGame} from './api.js';
+import {escapeHtml, showError, showNotification} from './utils.js';
+
+// Dialog for picking artwork from SteamGridDB, created on first use
+let dialog = null;
+
+// Game and filters the dialog currently shows
+let state = null;
+
+const TYPE_LABELS = {cover: 'Cover', hero: 'Hero', logo: 'Logo', icon: 'Icon'};
+
+function getDialog() {
+    if (dialog) return dialog;
+
+    dialog = document.createElement('dialog');
+    dialog.className = 'modal artwork-picker';
+    dialog.innerHTML = `
+        <header class="modal-header">
+            <h3></h3>
+            <button type="button" class="btn-icon modal-close" title="Close">
+                <i class="fas fa-times"></i>
+            </button>
+        </header>
+        <div class="artwork-filters">
+            <select class="form-control" name="type">
+                ${Object.entries(TYPE_LABELS).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+            </select>
+            <select class="form-control" name="style"></select>
+            <select class="form-control" name="animated">
+                <option value="">Static and animated</option>
+                <option value="false">Static only</option>
+                <option value="true">Animated only</option>
+            </select>
+        </div>
+        <p class="artwork-match"></p>
+        <div class="artwork-grid"></div>
+        <button type="button" class="btn artwork-more" hidden>Load more</button>
+        <details class="artwork-rematch">
+            <summary>Wrong game? Search SteamGridDB</summary>
+            <form class="artwork-search">
+                <input type="text" class="form-control" name="query" placeholder="Game name" required>
+                <button type="submit" class="btn">Search</button>
+            </form>
+            <ul class="artwork-results"></ul>
+        </details>
+    `;
+
+    dialog.querySelector('.modal-close').addEventListener('click', () => dialog.close());
+
+    // A new type has its own styles, so its style filter starts over
+    dialog.querySelector('[name="type"]').addEventListener('change', () => {
+        dialog.querySelector('[name="style"]').value = '';
+        loadCandidates(false);
+    });
+    dialog.querySelector('[name="style"]').addEventListener('change', () => loadCandidates(false));
+    dialog.querySelector('[name="animated"]').addEventListener('change', () => loadCandidates(false));
+    dialog.querySelector('.artwork-more').addEventListener('click', () => loadCandidates(true));
+
+    dialog.querySelector('.artwork-grid').addEventListener('click', (e) => {
+        const image = e.target.closest('[data-url]');
+        if (image) {
+            pickArtwork(image.dataset.url);
+        }
+    });
+
+    dialog.querySelector('.artwork-search').addEventListener('submit', (e) => {
+        e.preventDefault();
+        searchGames(e.target.query.value.trim());
+    });
+
+    dialog.querySelector('.artwork-results').addEventListener('click', (e) => {
+        const result = e.target.closest('[data-sgdb-id]');
+        if (result) {
+            rematch(Number(result.dataset.sgdbId));
+        }
+    });
+
+    document.body.appendChild(dialog);
+    return dialog;
+}
+
+// Load the first page for the current filters, or the next page if more is set
+async function loadCandidates(more) {
+    const picker = getDialog();
+    const grid = picker.querySelector('.artwork-grid');
+    const moreButton = picker.querySelector('.artwork-more');
+    const type = picker.querySelector('[name="type"]').value;
+    const request = {
+        type,
+        page: more ? state.page + 1 : 0,
+        style: picker.querySelector('[name="style"]').value,
+        animated: picker.querySelector('[name="animated"]').value
+    };
+    state.request = request;
+
+    if (!more) {
+        grid.innerHTML = '<div class="spinner"></div>';
+    }
+    moreButton.hidden = true;
+
+    try {
+        const data = await fetchArtworkCandidates(state.game.id, request);
+
+        // Filters changed while this page was loading
+        if (state.request !== request) return;
+        if (data.error) throw new Error(data.error);
+
+        state.page = data.page;
+        updateStyles(data.styles, request.style);
+        picker.querySelector('.artwork-match').textContent = data.sgdbId
+            ? `SteamGridDB game #${data.sgdbId}`
+            : 'No match on SteamGridDB, search for the game below';
+
+        if (!more) grid.innerHTML = '';
+        grid.insertAdjacentHTML('beforeend', data.images.map(image => `
+            <button type="button" class="artwork-option artwork-${type}" data-url="${escapeHtml(image.url)}"
+                title="${image.width}x${image.height}${image.author ? ` by ${escapeHtml(image.author)}` : ''}">
+                <img src="${escapeHtml(image.thumb)}" alt="" loading="lazy">
+            </button>`).join(''));
+
+        if (grid.children.length === 0) {
+            grid.innerHTML = '<p class="artwork-empty">No artwork found</p>';
+        }
+        moreButton.hidden = !data.hasMore;
+    } catch (error) {
+        grid.innerHTML = `<p class="artwork-empty">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Fill the style filter with the styles of the current type
+function updateStyles(styles, selected) {
+    const select = getDialog().querySelector('[name="style"]');
+    select.innerHTML = `<option value="">All styles</option>${styles.map(style => `
+        <option value="${style}" ${style === selected ? 'selected' : ''}>${style.replace(/_/g, ' ')}</option>`).join('')}`;
+}
+
+// Keep a picked image as the game's artwork of the current type
+async function pickArtwork(url) {
+    const type = getDialog().querySelector('[name="type"]').value;
+
+    try {
+        const result = await updateGame(state.game.id, {[type]: url});
+        if (!result.success) {
+            throw new Error(result.error || 'Unknown error');
+        }
+
+        state.game = result.game;
+        showNotification(`New ${TYPE_LABELS[type].toLowerCase()} for ${escapeHtml(result.game.name)}`, 'success');
+        state.onSaved(result.game);
+    } catch (error) {
+        showError(`Failed to save artwork: ${escapeHtml(error.message)}`);
+    }
+}
+
+async function searchGames(query) {
+    const results = getDialog().querySelector('.artwork-results');
+    if (!query) return;
+
+    try {
+        const data = await searchSteamGridDB(query);
+        if (data.error) throw new Error(data.error);
+
+        results.innerHTML = data.games.map(game => `
+            <li data-sgdb-id="${game.id}">
+                ${escapeHtml(game.name)} ${game.releaseYear ? `<small>(${game.releaseYear})</small>` : ''}
+                ${game.verified ? '<i class="fas fa-check-circle" title="Verified"></i>' : ''}
+            </li>`).join('') || '<li class="artwork-empty">No games found</li>';
+    } catch (error) {
+        showError(`Failed to search SteamGridDB: ${escapeHtml(error.message)}`);
+    }
+}
+
+// Use another SteamGridDB game for this one and show its artwork
+async function rematch(sgdbId) {
+    try {
+        const result = await matchGame(state.game.id, sgdbId);
+        if (!result.success) {
+            throw new Error(result.details || result.error || 'Unknown error');
+        }
+
+        state.game = result.game;
+        getDialog().querySelector('h3').textContent = `Artwork: ${result.game.name}`;
+        getDialog().querySelector('.artwork-rematch').open = false;
+        showNotification(`Matched ${escapeHtml(result.game.name)} on SteamGridDB`, 'success');
+        state.onSaved(result.game);
+        loadCandidates(false);
+    } catch (error) {
+        showError(`Failed to match game: ${escapeHtml(error.message)}`);
+    }
+}
+
+/**
+ * Open the SteamGridDB artwork picker of a game
+ * @param {Object} game - Game from the library
+ * @param {Function} onSaved - Called with the updated game after each change
+ */
+export function openArtworkPicker(game, onSaved) {
+    const picker = getDialog();
+    state = {game, onSaved, page: 0, request: null};
+
+    picker.querySelector('h3').textContent = `Artwork: ${game.name}`;
+    picker.querySelector('[name="type"]').value = 'cover';
+    picker.querySelector('[name="style"]').innerHTML = '';
+    picker.querySelector('[name="animated"]').value = '';
+    picker.querySelector('[name="query"]').value = game.name;
+    picker.querySelector('.artwork-results').innerHTML = '';
+    picker.querySelector('.artwork-rematch').open = false;
+
+    picker.showModal();
+    loadCandidates(false);
+}
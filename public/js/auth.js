@@ -0,0 +1,151 @@
+import {
+    fetchAuthStatus,
+    login,
+    logout,
+    setPassword,
+    disableLogin,
+    createAccessToken,
+    setCsrfToken
+} from './api.js';
+import {config} from './config.js';
+import {showError, showNotification} from './utils.js';
+
+// Whether the server asks for a password
+let loginEnabled = false;
+
+// DOM Elements
+let loginPage;
+let securityElements;
+
+// Show the login page until the password was accepted
+function showLogin() {
+    return new Promise(resolve => {
+        const form = loginPage.querySelector('form');
+        const passwordInput = loginPage.querySelector('input[type="password"]');
+        const errorText = loginPage.querySelector('.login-error');
+
+        loginPage.hidden = false;
+        errorText.textContent = '';
+        passwordInput.value = '';
+        passwordInput.focus();
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+
+            try {
+                const result = await login(passwordInput.value);
+                if (!result.success) {
+                    errorText.textContent = result.error || 'Login failed';
+                    passwordInput.select();
+                    return;
+                }
+
+                setCsrfToken(result.csrfToken);
+                loginPage.hidden = true;
+                resolve();
+            } catch (error) {
+                errorText.textContent = `Login failed: ${error.message}`;
+            }
+        };
+    });
+}
+
+/**
+ * Make sure the browser may use the API, showing the login page if needed
+ * @param {HTMLElement} page - Login page element
+ */
+export async function ensureLoggedIn(page) {
+    loginPage = page;
+
+    const status = await fetchAuthStatus();
+    loginEnabled = Boolean(status.enabled);
+
+    if (status.authenticated) {
+        setCsrfToken(status.csrfToken);
+    } else {
+        await showLogin();
+    }
+
+    // An expired session logs in again and starts over with fresh data
+    window.addEventListener('auth-required', async () => {
+        if (!loginPage.hidden) return;
+        await showLogin();
+        window.location.reload();
+    });
+}
+
+// Show the controls that fit the current login state
+function renderSecuritySettings() {
+    const {passwordLabel, disableBtn, logoutBtn, tokenBtn, corsInput} = securityElements;
+
+    passwordLabel.textContent = loginEnabled ? 'Change password' : 'Set a password to require a login';
+    disableBtn.hidden = !loginEnabled;
+    logoutBtn.hidden = !loginEnabled;
+    tokenBtn.disabled = !loginEnabled;
+    corsInput.value = (config.corsOrigins || []).join('\n');
+}
+
+/**
+ * Set up the security section of the settings page
+ * @param {Object} elements - Inputs and buttons of the section
+ */
+export function initSecuritySettings(elements) {
+    securityElements = elements;
+    const {passwordInput, passwordBtn, disableBtn, logoutBtn, tokenBtn, tokenOutput, corsInput, corsBtn} = elements;
+    if (!passwordInput) return;
+
+    passwordBtn.addEventListener('click', async () => {
+        const result = await setPassword(passwordInput.value);
+        if (!result.success) {
+            showError(result.error || 'Failed to set password');
+            return;
+        }
+
+        setCsrfToken(result.csrfToken);
+        passwordInput.value = '';
+        loginEnabled = true;
+        renderSecuritySettings();
+        showNotification('Password saved, the launcher now requires a login', 'success');
+    });
+
+    disableBtn.addEventListener('click', async () => {
+        if (!confirm('Turn off the login? Anyone who can reach the launcher will be able to use it.')) return;
+
+        const result = await disableLogin();
+        if (!result.success) {
+            showError(result.error || 'Failed to turn off the login');
+            return;
+        }
+
+        setCsrfToken(null);
+        loginEnabled = false;
+        tokenOutput.hidden = true;
+        renderSecuritySettings();
+        showNotification('Login turned off');
+    });
+
+    logoutBtn.addEventListener('click', async () => {
+        await logout();
+        window.location.reload();
+    });
+
+    tokenBtn.addEventListener('click', async () => {
+        const result = await createAccessToken();
+        if (!result.success) {
+            showError(result.error || 'Failed to create access token');
+            return;
+        }
+
+        tokenOutput.value = result.token;
+        tokenOutput.hidden = false;
+        tokenOutput.select();
+        showNotification('New access token created, the previous one no longer works');
+    });
+
+    corsBtn.addEventListener('click', async () => {
+        config.corsOrigins = corsInput.value.split('\n').map(origin => origin.trim()).filter(Boolean);
+        await window.saveConfig();
+    });
+
+    renderSecuritySettings();
+}
@@ -0,0 +1,83 @@
+import {fetchCollections} from './api.js';
+import {getLibraryFilters, setLibraryFilters, syncFilterControls, showPage} from './ui.js';
+import {escapeHtml} from './utils.js';
+
+// Sidebar list of collections
+let listElement = null;
+
+// Library events come in bursts during scans, the counts are fetched once they settle
+let refreshTimer = null;
+const REFRESH_DELAY = 300;
+
+function render(collections) {
+    const {collection: active} = getLibraryFilters();
+
+    // Empty auto collections are left out, except favorites so there is a place to start
+    const shown = collections.filter(collection => collection.count > 0 || collection.id === 'favorites');
+
+    listElement.innerHTML = `
+        <li class="nav-heading">Collections</li>
+        <li class="nav-item collection-item ${active ? '' : 'active'}" data-collection="">
+            <i class="fas fa-th"></i>
+            <span>All Games</span>
+        </li>
+        ${shown.map(collection => `
+        <li class="nav-item collection-item ${collection.id === active ? 'active' : ''}" data-collection="${escapeHtml(collection.id)}">
+            <i class="${collection.icon}"></i>
+            <span>${escapeHtml(collection.name)}</span>
+            <small class="collection-count">${collection.count}</small>
+        </li>`).join('')}
+    `;
+
+    // A tag that no game has any more leaves nothing to show
+    if (active && !shown.some(collection => collection.id === active)) {
+        setLibraryFilters({collection: ''});
+    } else {
+        syncFilterControls();
+    }
+}
+
+/**
+ * Filter the library grid by a collection and show the library
+ * @param {string|null} id - Collection ID, null for all games
+ */
+export function selectCollection(id) {
+    setLibraryFilters({collection: id || ''});
+    showPage('library');
+}
+
+/**
+ * Load the collections again, e.g. after a game was tagged or added
+ */
+export function refreshCollections() {
+    if (!listElement) return;
+
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(async () => {
+        try {
+            const collections = await fetchCollections();
+            if (Array.isArray(collections)) {
+                render(collections);
+            }
+        } catch (error) {
+            console.error('Failed to load collections:', error);
+        }
+    }, REFRESH_DELAY);
+}
+
+/**
+ * Set up the collections section of the sidebar
+ * @param {HTMLElement} list - List the collections are shown in
+ */
+export function initCollections(list) {
+    listElement = list;
+
+    listElement.addEventListener('click', (e) => {
+        const item = e.target.closest('.collection-item');
+        if (item) {
+            selectCollection(item.dataset.collection || null);
+        }
+    });
+
+    refreshCollections();
+}
@@ -1,22 +1,37 @@
-import { loadConfig as apiLoadConfig, saveConfig as apiSaveConfig, validateDirectory } from './api.js';
+import { loadConfig as apiLoadConfig, saveConfig as apiSaveConfig, validateDirectory, fetchRunners } from './api.js';
 import {escapeHtml, showError, showNotification} from './utils.js';
 
 // Global state
 export let config = {
     directories: [],
-    cardSize: 'medium' // small, medium, large, xlarge
+    cardSize: 'medium', // small, medium, large, xlarge
+    defaultRunner: null,
+    directoryRunners: {},
+    corsOrigins: []
 };
 
+// Installed Wine and Proton versions
+let runners = [];
+
 // DOM Elements
 let directoryList;
 let newDirectoryInput;
 let addDirectoryBtn;
+let defaultRunnerSelect;
 
 // Initialize configuration module
 export async function initConfig(elements) {
     try {
         console.log('Initializing config module...');
-        ({ directoryList, newDirectoryInput, addDirectoryBtn } = elements);
+        ({ directoryList, newDirectoryInput, addDirectoryBtn, defaultRunnerSelect } = elements);
+        
+        // Runners are only needed for the selects, the settings work without them
+        try {
+            const found = await fetchRunners();
+            runners = Array.isArray(found) ? found : [];
+        } catch (error) {
+            console.error('Error loading runners:', error);
+        }
         
         // Expose functions to window first
         window.saveConfig = saveConfig;
@@ -48,7 +63,8 @@ export async function loadConfig() {
             config = { 
                 ...config, // Default values first
                 ...data,   // Then override with saved values
-                directories: data.directories || [] // Ensure directories array exists
+                directories: data.directories || [], // Ensure directories array exists
+                directoryRunners: data.directoryRunners || {}
             };
             
             // Make sure cardSize is one of the allowed values
@@ -98,7 +114,10 @@ export async function saveConfig() {
             directories: Array.isArray(config.directories) ? [...config.directories] : [],
             cardSize: ['small', 'medium', 'large', 'xlarge'].includes(config.cardSize) 
                 ? config.cardSize 
-                : 'medium'
+                : 'medium',
+            defaultRunner: config.defaultRunner || null,
+            directoryRunners: {...config.directoryRunners},
+            corsOrigins: Array.isArray(config.corsOrigins) ? [...config.corsOrigins] : []
         };
 
         console.log('Sending to apiSaveConfig:', dataToSave);
@@ -114,7 +133,10 @@ export async function saveConfig() {
                     : dataToSave.directories,
                 cardSize: ['small', 'medium', 'large', 'xlarge'].includes(response.cardSize)
                     ? response.cardSize
-                    : dataToSave.cardSize
+                    : dataToSave.cardSize,
+                defaultRunner: response.defaultRunner || null,
+                directoryRunners: response.directoryRunners || dataToSave.directoryRunners,
+                corsOrigins: Array.isArray(response.corsOrigins) ? [...response.corsOrigins] : dataToSave.corsOrigins
             };
 
             Object.assign(config, cleanConfig);
@@ -194,7 +216,8 @@ export async function removeDirectory(index) {
     
     try {
         // Remove from config
-        config.directories.splice(index, 1);
+        const [removed] = config.directories.splice(index, 1);
+        delete config.directoryRunners[removed];
         
         // Save to server
         await saveConfig();
@@ -211,8 +234,36 @@ export async function removeDirectory(index) {
     }
 }
 
+/**
+ * Build the options of a runner select
+ * @param {Object[]} runnerList - Installed runners
+ * @param {string|null} selected - ID of the selected runner
+ * @param {string} emptyLabel - Label of the option that picks no runner
+ * @returns {string} - Option elements
+ */
+export function runnerOptions(runnerList, selected, emptyLabel) {
+    const options = runnerList.map(runner => `
+        <option value="${escapeHtml(runner.id)}" ${runner.id === selected ? 'selected' : ''}>
+            ${escapeHtml(runner.name)} (${escapeHtml(runner.source)})
+        </option>`);
+
+    // Keep a configured runner that is no longer installed visible
+    if (selected && !runnerList.some(runner => runner.id === selected)) {
+        options.push(`<option value="${escapeHtml(selected)}" selected>${escapeHtml(selected)} (not installed)</option>`);
+    }
+
+    return `<option value="">${escapeHtml(emptyLabel)}</option>${options.join('')}`;
+}
+
+// Render the default runner select
+function renderDefaultRunner() {
+    if (!defaultRunnerSelect) return;
+    defaultRunnerSelect.innerHTML = runnerOptions(runners, config.defaultRunner, 'Automatic (system Wine)');
+}
+
 // Render directories in the UI
 function renderDirectories() {
+    renderDefaultRunner();
     if (!directoryList) return;
     
     directoryList.innerHTML = '';
@@ -232,6 +283,9 @@ function renderDirectories() {
         dirElement.className = 'directory-item';
         dirElement.innerHTML = `
             <span class="path">${escapeHtml(dir)}</span>
+            <select class="form-control directory-runner" data-index="${index}" title="Runner for Windows games in this directory">
+                ${runnerOptions(runners, config.directoryRunners[dir], 'Default runner')}
+            </select>
             <button class="remove-btn" data-index="${index}" title="Remove directory">
                 <i class="fas fa-times"></i>
             </button>
@@ -239,6 +293,19 @@ function renderDirectories() {
         directoryList.appendChild(dirElement);
     });
     
+    // Runner for the Windows games of a directory
+    directoryList.querySelectorAll('.directory-runner').forEach(select => {
+        select.addEventListener('change', async () => {
+            const dir = config.directories[parseInt(select.getAttribute('data-index'))];
+            if (select.value) {
+                config.directoryRunners[dir] = select.value;
+            } else {
+                delete config.directoryRunners[dir];
+            }
+            await saveConfig();
+        });
+    });
+    
     // Add event listeners to remove buttons
     document.querySelectorAll('.remove-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -251,6 +318,11 @@ function renderDirectories() {
 
 // Set up event listeners
 function setupEventListeners() {
+    defaultRunnerSelect?.addEventListener('change', async () => {
+        config.defaultRunner = defaultRunnerSelect.value || null;
+        await saveConfig();
+    });
+
     if (!addDirectoryBtn || !newDirectoryInput) return;
     
     // Handle add directory button click
@@ -0,0 +1,258 @@
+import {fetchGameDetails, fetchGameSessions, openGameFolder, rescanGame} from './api.js';
+import {openProfileMenu, openTargetMenu, gameTargets} from './profiles.js';
+import {showPage} from './ui.js';
+import {selectCollection} from './collections.js';
+import {escapeHtml, formatPlaytime, formatRelativeTime, formatSize, showError, showNotification} from './utils.js';
+
+// Element the detail page is drawn into, inside #game-page
+const DETAIL_ELEMENT_ID = 'game-detail';
+
+// Game the detail page shows
+let currentGameId = null;
+
+// Sessions shown on the detail page, the newest first
+const MAX_SESSIONS_SHOWN = 20;
+
+const LAUNCH_LABELS = {
+    steam: 'Steam',
+    wine: 'Wine',
+    proton: 'Proton',
+    desktop: 'Desktop entry',
+    native: 'Native'
+};
+
+// A row of the info list, left out when there is no value
+function infoRow(label, value) {
+    return value ? `<dt>${label}</dt><dd>${value}</dd>` : '';
+}
+
+function listValue(values) {
+    return values?.length ? values.map(escapeHtml).join(', ') : '';
+}
+
+function formatDate(isoDate) {
+    return isoDate ? new Date(isoDate).toLocaleString() : '';
+}
+
+function renderSessions(container, data) {
+    const sessions = (data.sessions || []).slice(-MAX_SESSIONS_SHOWN).reverse();
+    if (sessions.length === 0) {
+        container.innerHTML = '<p class="detail-empty">No play sessions yet</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="session-table">
+            <thead>
+                <tr><th>Started</th><th>Played</th><th>Launched with</th></tr>
+            </thead>
+            <tbody>
+                ${sessions.map(session => `
+                <tr>
+                    <td>${escapeHtml(formatDate(session.start))}</td>
+                    <td>${formatPlaytime(session.duration)}</td>
+                    <td>${escapeHtml(LAUNCH_LABELS[session.type] || session.type || '')}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        ${data.sessions.length > sessions.length ? `<p class="detail-empty">${data.sessions.length - sessions.length} older sessions not shown</p>` : ''}
+    `;
+}
+
+// Details the library list does not have, loaded after the page is shown
+async function loadExtras(game, page) {
+    const [details, sessions] = await Promise.allSettled([fetchGameDetails(game.id), fetchGameSessions(game.id)]);
+    if (currentGameId !== game.id) return;
+
+    if (details.status === 'fulfilled' && !details.value.error) {
+        const {launch, size} = details.value;
+        const label = LAUNCH_LABELS[launch.type] || launch.type;
+        page.querySelector('.detail-launch').textContent = launch.runner ? `${label} (${launch.runner})` : label;
+        page.querySelector('.detail-size').textContent = size === null ? 'Unknown' : formatSize(size);
+    }
+
+    if (sessions.status === 'fulfilled' && !sessions.value.error) {
+        renderSessions(page.querySelector('.detail-sessions'), sessions.value);
+    }
+}
+
+function bindActions(game, page) {
+    page.querySelector('.detail-back').addEventListener('click', () => showPage('library'));
+    page.querySelector('.play-button').addEventListener('click', (e) => {
+        const button = e.currentTarget;
+        if (!button.classList.contains('playing') && gameTargets(game).length > 1) {
+            e.stopPropagation();
+            openTargetMenu(button, game, targetId => window.launchGame?.(game.id, undefined, targetId));
+            return;
+        }
+        window.launchGame?.(game.id);
+    });
+    page.querySelector('.play-menu-button')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openProfileMenu(e.currentTarget, game, profileId => window.launchGame?.(game.id, profileId));
+    });
+    page.querySelector('.detail-options-button').addEventListener('click', () => window.editLaunchProfiles?.(game.id));
+    page.querySelector('.detail-edit-button').addEventListener('click', () => window.editGame?.(game.id));
+    page.querySelector('.detail-favorite-button').addEventListener('click', () => window.toggleFavorite?.(game.id));
+    page.querySelectorAll('.detail-tags [data-collection]').forEach(tag => {
+        tag.addEventListener('click', () => selectCollection(tag.dataset.collection));
+    });
+    page.querySelectorAll('.choose-executable-button').forEach(button => {
+        button.addEventListener('click', () => window.chooseExecutable?.(game.id));
+    });
+
+    page.querySelector('.open-folder-button').addEventListener('click', async () => {
+        try {
+            const result = await openGameFolder(game.id);
+            if (!result.success) throw new Error(result.error || 'Unknown error');
+        } catch (error) {
+            showError(`Failed to open the folder of ${escapeHtml(game.name)}: ${escapeHtml(error.message)}`);
+        }
+    });
+
+    // The library event of the scan updates the page
+    page.querySelector('.rescan-button').addEventListener('click', async (e) => {
+        const button = e.currentTarget;
+        button.disabled = true;
+        try {
+            const result = await rescanGame(game.id);
+            if (!result.success) throw new Error(result.error || 'Unknown error');
+            showNotification(`Rescanned ${escapeHtml(result.game.name)}`, 'success');
+        } catch (error) {
+            showError(`Failed to rescan ${escapeHtml(game.name)}: ${escapeHtml(error.message)}`);
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+/**
+ * Show a game on the detail page
+ * @param {Object|null} game - Game from the library, null if it does not exist
+ */
+export function renderGameDetails(game) {
+    const page = document.getElementById(DETAIL_ELEMENT_ID);
+    if (!page) return;
+
+    if (!game) {
+        currentGameId = null;
+        page.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-question-circle"></i>
+                <p>This game is not in your library.</p>
+            </div>`;
+        return;
+    }
+
+    currentGameId = game.id;
+    const artwork = game.artwork || {};
+    const hero = artwork.hero || artwork.cover || game.icon;
+    const description = game.summary || game.description;
+
+    page.innerHTML = `
+        <div class="detail-hero ${artwork.hero ? '' : 'detail-hero-fallback'}">
+            ${hero ? `<img class="detail-hero-image" src="${escapeHtml(hero)}" alt="">` : ''}
+            <button class="btn-icon detail-back" title="Back to library">
+                <i class="fas fa-arrow-left"></i>
+            </button>
+            <div class="detail-hero-content">
+                ${artwork.logo
+                    ? `<img class="detail-logo" src="${escapeHtml(artwork.logo)}" alt="${escapeHtml(game.name)}" title="${escapeHtml(game.name)}">`
+                    : `<h2 class="detail-title">${escapeHtml(game.name)}</h2>`}
+                <div class="detail-actions">
+                    <div class="play-group">
+                        <button class="play-button" data-id="${game.id}" ${game.missing ? 'disabled' : ''}>
+                            <i class="fas fa-play"></i> Play
+                        </button>
+                        ${game.launchProfiles?.length > 1 ? `<button class="play-menu-button" title="Play with profile" ${game.missing ? 'disabled' : ''}>
+                            <i class="fas fa-caret-down"></i>
+                        </button>` : ''}
+                    </div>
+                    <button class="btn detail-favorite-button ${game.favorite ? 'active' : ''}" title="${game.favorite ? 'Remove from favorites' : 'Add to favorites'}">
+                        <i class="${game.favorite ? 'fas' : 'far'} fa-star"></i> Favorite
+                    </button>
+                    <button class="btn detail-options-button" title="Launch options">
+                        <i class="fas fa-sliders-h"></i> Launch Options
+                    </button>
+                    <button class="btn detail-edit-button" title="Edit details">
+                        <i class="fas fa-pen"></i> Edit
+                    </button>
+                    <button class="btn open-folder-button" title="Open the game folder on the server" ${game.missing ? 'disabled' : ''}>
+                        <i class="fas fa-folder-open"></i> Open Folder
+                    </button>
+                    <button class="btn rescan-button" title="Look up this game again">
+                        <i class="fas fa-sync-alt"></i> Rescan
+                    </button>
+                </div>
+            </div>
+        </div>
+        <div class="detail-body">
+            <section class="detail-main">
+                ${game.missing ? '<p class="detail-missing"><i class="fas fa-exclamation-triangle"></i> This game is no longer on disk.</p>' : ''}
+                ${game.executableUncertain && !game.overrides?.executable && game.source !== 'steam' ? `
+                <p class="detail-warning">
+                    <i class="fas fa-question-circle"></i> Not sure which file starts this game, <code>${escapeHtml(game.path.substring(game.installPath.length + 1))}</code> is the best guess.
+                    <button class="btn choose-executable-button">Choose</button>
+                </p>` : ''}
+                ${description ? `<p class="detail-description">${escapeHtml(description)}</p>` : ''}
+                ${game.tags?.length ? `<ul class="detail-tags">${game.tags.map(tag => `<li data-collection="tag:${escapeHtml(tag)}" title="Show the games tagged ${escapeHtml(tag)}">${escapeHtml(tag)}</li>`).join('')}</ul>` : ''}
+                ${gameTargets(game).length > 1 ? `
+                <h3>Launch Targets</h3>
+                <ul class="detail-profiles">
+                    ${gameTargets(game).map(target => `
+                    <li>
+                        <strong>${escapeHtml(target.label)}</strong>
+                        ${target.id === game.lastTarget ? '<small>(last used)</small>' : ''}
+                        <code>${escapeHtml([target.executable, ...target.args].join(' '))}</code>
+                    </li>`).join('')}
+                </ul>` : ''}
+                <h3>Launch Profiles</h3>
+                <ul class="detail-profiles">
+                    ${(game.launchProfiles?.length ? game.launchProfiles : [{id: 'default', name: 'Default'}]).map(profile => `
+                    <li>
+                        <strong>${escapeHtml(profile.name)}</strong>
+                        ${profile.id === (game.defaultProfile || 'default') ? '<small>(default)</small>' : ''}
+                        ${profile.args?.length ? `<code>${escapeHtml(profile.args.join(' '))}</code>` : ''}
+                    </li>`).join('')}
+                </ul>
+                <h3>Play Sessions</h3>
+                <div class="detail-sessions"><div class="spinner"></div></div>
+            </section>
+            <aside class="detail-info">
+                <dl>
+                    ${infoRow('Playtime', formatPlaytime(game.playtime))}
+                    ${infoRow('Last played', escapeHtml(formatRelativeTime(game.lastPlayed)))}
+                    ${infoRow('Launches with', '<span class="detail-launch">…</span>')}
+                    ${infoRow('Install path', `<code>${escapeHtml(game.installPath)}</code>`)}
+                    ${game.source !== 'steam' ? infoRow('Executable', `<code>${escapeHtml(game.path)}</code>
+                        <button class="btn-icon choose-executable-button" title="Choose another executable"><i class="fas fa-pen"></i></button>`) : ''}
+                    ${infoRow('Size', '<span class="detail-size">…</span>')}
+                    ${infoRow('Released', game.releaseYear)}
+                    ${infoRow('Genres', listValue(game.genres))}
+                    ${infoRow('Developers', listValue(game.developers))}
+                    ${infoRow('Publishers', listValue(game.publishers))}
+                    ${infoRow('Rating', typeof game.rating === 'number' ? `${game.rating} / 100` : '')}
+                    ${infoRow('Steam app', game.appId ? escapeHtml(String(game.appId)) : '')}
+                    ${infoRow('Added', escapeHtml(formatDate(game.added)))}
+                </dl>
+            </aside>
+        </div>
+    `;
+
+    bindActions(game, page);
+    loadExtras(game, page);
+}
+
+/**
+ * Show the new state of a game if the detail page is showing it
+ * @param {Object} game - Updated game from the library
+ * @returns {boolean} - Whether the page was updated
+ */
+export function updateGameDetails(game) {
+    // Hidden pages have no layout, so an element that is not shown has no offsetParent
+    const page = document.getElementById(DETAIL_ELEMENT_ID);
+    if (game.id !== currentGameId || !page || page.offsetParent === null) return false;
+
+    renderGameDetails(game);
+    return true;
+}
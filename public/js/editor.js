@@ -0,0 +1,185 @@
+import {updateGame} from './api.js';
+import {escapeHtml, showError, showNotification} from './utils.js';
+import {openArtworkPicker} from './artwork.js';
+
+// Dialog for editing a game's metadata, created on first use
+let dialog = null;
+
+// Editable fields, in the order they are shown
+const FIELDS = [
+    {name: 'name', label: 'Name', type: 'text'},
+    {name: 'description', label: 'Description', type: 'textarea'},
+    {name: 'cover', label: 'Cover', hint: 'http(s) URL or an image in the game folder', type: 'text'},
+    {name: 'executable', label: 'Executable', hint: 'relative to the game folder', type: 'text'},
+    {name: 'tags', label: 'Tags', hint: 'comma separated', type: 'text'}
+];
+
+// Path of an executable relative to the game folder
+function relativePath(game, filePath) {
+    if (!filePath) return '';
+    const folder = `${game.installPath}/`;
+    return filePath.startsWith(folder) ? filePath.substring(folder.length) : filePath;
+}
+
+// Value of a field as shown in the form, from the overrides or the detected data
+function fieldValue(game, name, source) {
+    switch (name) {
+        case 'cover':
+            return source.cover || '';
+        case 'executable':
+            return relativePath(game, source.path);
+        case 'tags':
+            return (source.tags || []).join(', ');
+        default:
+            return source[name] || '';
+    }
+}
+
+// Detected values; games scanned before overrides existed only have their current fields
+function detectedSource(game) {
+    return game.detected || {...game, cover: game.artworkSources?.cover};
+}
+
+function overrideSource(game) {
+    const overrides = game.overrides || {};
+    return {
+        ...overrides,
+        path: overrides.executable ? `${game.installPath}/${overrides.executable}` : null
+    };
+}
+
+function getDialog() {
+    if (dialog) return dialog;
+
+    dialog = document.createElement('dialog');
+    dialog.className = 'modal game-editor';
+    dialog.innerHTML = `
+        <form method="dialog">
+            <header class="modal-header">
+                <h3></h3>
+                <button type="button" class="btn-icon modal-close" title="Close">
+                    <i class="fas fa-times"></i>
+                </button>
+            </header>
+            <fieldset class="profile-form">
+                ${FIELDS.map(field => `
+                <div class="form-group" data-field="${field.name}">
+                    <label>
+                        ${field.label} ${field.hint ? `<small>(${field.hint})</small>` : ''}
+                        <button type="button" class="reset-field" title="Use the detected value again">
+                            <i class="fas fa-undo"></i> Reset to detected
+                        </button>
+                    </label>
+                    ${field.type === 'textarea'
+                        ? `<textarea class="form-control" name="${field.name}" rows="4"></textarea>`
+                        : `<input type="text" class="form-control" name="${field.name}">`}
+                </div>`).join('')}
+            </fieldset>
+            <footer class="modal-footer">
+                <button type="button" class="btn choose-artwork" title="Browse SteamGridDB">
+                    <i class="fas fa-images"></i> Artwork
+                </button>
+                <button type="button" class="btn modal-close">Cancel</button>
+                <button type="submit" class="btn btn-primary">Save</button>
+            </footer>
+        </form>
+    `;
+
+    dialog.querySelectorAll('.modal-close').forEach(btn => {
+        btn.addEventListener('click', () => dialog.close());
+    });
+
+    // Show the detected value and remember to drop the override on save
+    dialog.querySelectorAll('.reset-field').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const group = btn.closest('.form-group');
+            const input = group.querySelector('.form-control');
+            input.value = input.placeholder;
+            group.dataset.reset = 'true';
+            btn.hidden = true;
+        });
+    });
+
+    document.body.appendChild(dialog);
+    return dialog;
+}
+
+// Turn a form value into the value the server expects
+function parseField(name, value) {
+    if (name === 'tags') {
+        return value.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    return value.trim();
+}
+
+/**
+ * Open the metadata editor of a game
+ * @param {Object} game - Game from the library
+ * @param {Function} onSaved - Called with the updated game
+ */
+export function openGameEditor(game, onSaved) {
+    const editor = getDialog();
+    editor.querySelector('h3').textContent = `Edit: ${game.name}`;
+
+    const detected = detectedSource(game);
+    const overrides = overrideSource(game);
+    const initial = {};
+
+    editor.querySelectorAll('.form-group[data-field]').forEach(group => {
+        const name = group.dataset.field;
+        const input = group.querySelector('.form-control');
+        const overridden = game.overrides?.[name] !== undefined;
+
+        // Steam games always launch through Steam
+        group.hidden = name === 'executable' && game.source === 'steam';
+        delete group.dataset.reset;
+        group.querySelector('.reset-field').hidden = !overridden;
+
+        input.placeholder = fieldValue(game, name, detected);
+        input.value = overridden ? fieldValue(game, name, overrides) : input.placeholder;
+        initial[name] = input.value;
+    });
+
+    // Unsaved edits are dropped, the picker saves each choice right away
+    editor.querySelector('.choose-artwork').onclick = () => {
+        editor.close();
+        openArtworkPicker(game, onSaved);
+    };
+
+    editor.querySelector('form').onsubmit = async (e) => {
+        e.preventDefault();
+
+        const changes = {};
+        editor.querySelectorAll('.form-group[data-field]').forEach(group => {
+            if (group.hidden) return;
+            const name = group.dataset.field;
+            const value = group.querySelector('.form-control').value;
+
+            if (group.dataset.reset && value === group.querySelector('.form-control').placeholder) {
+                changes[name] = null;
+            } else if (value !== initial[name]) {
+                changes[name] = parseField(name, value);
+            }
+        });
+
+        if (Object.keys(changes).length === 0) {
+            editor.close();
+            return;
+        }
+
+        try {
+            const result = await updateGame(game.id, changes);
+            if (!result.success) {
+                throw new Error(result.error || 'Unknown error');
+            }
+
+            editor.close();
+            showNotification(`Saved ${escapeHtml(result.game.name)}`, 'success');
+            onSaved(result.game);
+        } catch (error) {
+            showError(`Failed to save ${escapeHtml(game.name)}: ${escapeHtml(error.message)}`);
+        }
+    };
+
+    editor.showModal();
+}
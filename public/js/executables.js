@@ -0,0 +1,103 @@
+import {fetchExecutables, updateGame} from './api.js';
+import {escapeHtml, formatSize, showError, showNotification} from './utils.js';
+
+// Dialog for picking the executable of a game, created on first use
+let dialog = null;
+
+// Game the dialog is open for and what to do with the picked executable
+let state = null;
+
+const TYPE_LABELS = {elf: 'Linux', pe: 'Windows', script: 'Script'};
+
+function getDialog() {
+    if (dialog) return dialog;
+
+    dialog = document.createElement('dialog');
+    dialog.className = 'modal executable-picker';
+    dialog.innerHTML = `
+        <header class="modal-header">
+            <h3></h3>
+            <button type="button" class="btn-icon modal-close" title="Close">
+                <i class="fas fa-times"></i>
+            </button>
+        </header>
+        <p class="executable-hint"></p>
+        <ul class="executable-list"></ul>
+    `;
+
+    dialog.querySelector('.modal-close').addEventListener('click', () => dialog.close());
+
+    dialog.querySelector('.executable-list').addEventListener('click', (e) => {
+        const option = e.target.closest('[data-path]');
+        if (option) {
+            pickExecutable(option.dataset.path);
+        }
+    });
+
+    document.body.appendChild(dialog);
+    return dialog;
+}
+
+function renderCandidates(data) {
+    const list = getDialog().querySelector('.executable-list');
+    if (data.candidates.length === 0) {
+        list.innerHTML = '<li class="executable-empty">No executables found in the game folder</li>';
+        return;
+    }
+
+    list.innerHTML = data.candidates.map((candidate, index) => `
+        <li>
+            <button type="button" class="executable-option ${candidate.path === data.current ? 'current' : ''}" data-path="${escapeHtml(candidate.path)}">
+                <code>${escapeHtml(candidate.path)}</code>
+                <small>
+                    ${[TYPE_LABELS[candidate.type], candidate.arch, candidate.size ? formatSize(candidate.size) : '']
+                        .filter(Boolean).map(escapeHtml).join(' · ')}
+                    ${index === 0 ? ' · best guess' : ''}
+                    ${candidate.path === data.current ? ' · in use' : ''}
+                </small>
+            </button>
+        </li>`).join('');
+}
+
+// Keep the picked executable as an override, so rescans and later launches use it
+async function pickExecutable(executable) {
+    const picker = getDialog();
+    try {
+        const result = await updateGame(state.game.id, {executable});
+        if (!result.success) {
+            throw new Error(result.error || 'Unknown error');
+        }
+
+        picker.close();
+        showNotification(`${escapeHtml(result.game.name)} now starts ${escapeHtml(executable)}`, 'success');
+        state.onPicked(result.game);
+    } catch (error) {
+        showError(`Failed to save the executable: ${escapeHtml(error.message)}`);
+    }
+}
+
+/**
+ * Let the user pick which executable of the game folder starts a game
+ * @param {Object} game - Game from the library
+ * @param {Function} onPicked - Called with the updated game once an executable is picked
+ * @param {string} [hint] - Why the dialog is shown
+ */
+export async function openExecutablePicker(game, onPicked, hint = 'Pick the file that starts the game.') {
+    const picker = getDialog();
+    state = {game, onPicked};
+
+    picker.querySelector('h3').textContent = `Executable: ${game.name}`;
+    picker.querySelector('.executable-hint').textContent = hint;
+    picker.querySelector('.executable-list').innerHTML = '<li><div class="spinner"></div></li>';
+    picker.showModal();
+
+    try {
+        const data = await fetchExecutables(game.id);
+        if (data.error) throw new Error(data.error);
+        if (state.game !== game) return;
+        renderCandidates(data);
+    } catch (error) {
+        picker.querySelector('.executable-list').innerHTML =
+            `<li class="executable-empty">${escapeHtml(error.message)}</li>`;
+    }
+}
@@ -1,39 +1,107 @@
-import {scanForGames} from './api.js';
-import {showError, showNotification} from './utils.js';
-import {renderGames} from './ui.js';
+import {
+    fetchGames,
+    scanForGames,
+    fetchRunning,
+    launchGame as apiLaunchGame,
+    stopGame as apiStopGame,
+    setFavorite,
+    openEventStream
+} from './api.js';
+import {escapeHtml, showError, showNotification} from './utils.js';
+import {renderGames, updateGameCard, removeGameCard, setPlayButtonState} from './ui.js';
+import {openProfileEditor, gameTargets} from './profiles.js';
+import {openGameEditor} from './editor.js';
+import {openExecutablePicker} from './executables.js';
+import {renderGameDetails, updateGameDetails} from './details.js';
+import {refreshCollections} from './collections.js';
 
 // Game state
 let games = [];
 
-// Load games from localStorage
-export function loadGames() {
+// Running games, keyed by game ID
+let running = new Map();
+let runningPollTimer = null;
+const RUNNING_POLL_INTERVAL = 3000;
+
+// Load games from the server-side library
+export async function loadGames() {
     try {
-        const savedGames = localStorage.getItem('games');
-        if (savedGames) {
-            games = JSON.parse(savedGames);
+        const gamesList = await fetchGames();
+        if (Array.isArray(gamesList)) {
+            games = gamesList;
             renderGames(games);
+            refreshCollections();
+            running.forEach((info, gameId) => setPlayButtonState(gameId, 'running'));
         }
+        return games;
     } catch (error) {
-        console.error('Error loading games from localStorage:', error);
+        console.error('Error loading games from library:', error);
+        return games;
     }
 }
 
-// Save games to localStorage
-function saveGames() {
-    try {
-        localStorage.setItem('games', JSON.stringify(games));
-    } catch (error) {
-        console.error('Error saving games to localStorage:', error);
-    }
+// Games loaded from the library, e.g. for the quick launch palette
+export function getGames() {
+    return games;
+}
+
+// Whether a game is running, as of the last check with the server
+export function isRunning(gameId) {
+    return running.has(gameId);
+}
+
+// Apply library changes pushed by the server, e.g. from its directory watcher
+export function connectLibraryEvents() {
+    const events = openEventStream();
+
+    events.addEventListener('library', (e) => {
+        const {type, source, game} = JSON.parse(e.data);
+        const index = games.findIndex(g => g.id === game.id);
+
+        // Tags, favorites and new games change the collections
+        refreshCollections();
+
+        // Merged into another entry, e.g. a Steam game that was found through a directory first
+        if (type === 'removed') {
+            if (index >= 0) games.splice(index, 1);
+            removeGameCard(game.id);
+            return;
+        }
+
+        if (index >= 0) {
+            games[index] = game;
+        } else {
+            games.push(game);
+        }
+
+        updateGameCard(game);
+        updateGameDetails(game);
+        if (running.has(game.id)) {
+            setPlayButtonState(game.id, 'running');
+        }
+
+        // Full scans report their own summary
+        if (source === 'folder' && type === 'added') {
+            showNotification(`${escapeHtml(game.name)} was added to your library`);
+        } else if (source === 'folder' && type === 'missing') {
+            showNotification(`${escapeHtml(game.name)} is no longer on disk`);
+        }
+    });
+
+    events.addEventListener('error', () => {
+        console.warn('Live updates disconnected, reconnecting...');
+    });
+
+    return events;
 }
 
 // Start auto-scan for games
 export async function startAutoScan() {
     try {
         console.log('Starting game scan...');
-        // Show loading state
+        // Show loading state, unless the library already has games to show
         const gamesContainer = document.getElementById('games-container');
-        if (gamesContainer) {
+        if (gamesContainer && games.length === 0) {
             gamesContainer.innerHTML = `
                 <div class="loading-state">
                     <div class="spinner"></div>
@@ -44,20 +112,21 @@ export async function startAutoScan() {
 
         // Perform the scan
         console.log('Calling scanForGames...');
-        const gamesList = await scanForGames();
-        console.log('Scan result:', gamesList);
+        const summary = await scanForGames();
+        console.log('Scan result:', summary);
 
-        if (Array.isArray(gamesList)) {
-            console.log(`Found ${gamesList.length} games`);
-            games = gamesList;  // The server returns the array directly, not as {games: [...]}
-            saveGames();
-            renderGames(games);
-            showNotification(`Found ${games.length} games`);
-            return games;
+        if (!summary || !summary.success) {
+            throw new Error(summary?.details || summary?.error || 'Invalid response format from server');
+        }
+
+        await loadGames();
+
+        if (summary.added || summary.missing) {
+            showNotification(`Found ${summary.added} new games, ${summary.missing} missing`);
         } else {
-            const error = new Error('Invalid response format from server');
-            console.error(error);
+            showNotification(`Found ${summary.total} games`);
         }
+        return games;
     } catch (error) {
         console.error('Error in startAutoScan:', {
             message: error.message, name: error.name, stack: error.stack, response: error.response ? {
@@ -65,7 +134,7 @@ export async function startAutoScan() {
             } : 'No response object'
         });
 
-        showError(`Failed to scan for games: ${error.message || 'Unknown error'}`);
+        showError(`Failed to scan for games: ${escapeHtml(error.message || 'Unknown error')}`);
 
         // Show error in the UI
         const gamesContainer = document.getElementById('games-container');
@@ -74,7 +143,7 @@ export async function startAutoScan() {
                 <div class="error-state">
                     <i class="fas fa-exclamation-triangle"></i>
                     <h3>Failed to load games</h3>
-                    <p>${error.message || 'An unknown error occurred'}</p>
+                    <p>${escapeHtml(error.message || 'An unknown error occurred')}</p>
                     <button class="btn btn-primary" onclick="window.startAutoScan()">
                         <i class="fas fa-sync-alt"></i> Try Again
                     </button>
@@ -86,38 +155,197 @@ export async function startAutoScan() {
     }
 }
 
-// Launch a game
-export function launchGame(gameId) {
+// Launch a game with one of its launch profiles and targets, or stop it if it is already running
+export async function launchGame(gameId, profileId, targetId) {
     const game = games.find(g => g.id === gameId);
     if (!game) {
         showError('Game not found');
         return;
     }
 
-    // Update last played time
-    game.lastPlayed = new Date().toISOString();
-    saveGames();
+    if (running.has(gameId)) {
+        return stopGame(gameId);
+    }
 
-    // In a real app, this would launch the game
-    showNotification(`Launching ${game.title}...`);
+    // The scan could not tell which executable is the game, ask once and launch the pick
+    if (game.executableUncertain && !game.overrides?.executable && game.source !== 'steam' && (!targetId || targetId === 'main')) {
+        openExecutablePicker(game, (updated) => {
+            replaceGame(updated);
+            launchGame(gameId, profileId, targetId);
+        }, 'Several files could start this game. Pick the right one, it is remembered for next time.');
+        return;
+    }
+
+    setPlayButtonState(gameId, 'launching');
     console.log('Launching game:', game);
 
-    // Simulate game launch
-    setTimeout(() => {
-        // Update UI to show game is running
-        const playButton = document.querySelector(`.play-button[data-id="${gameId}"]`);
-        if (playButton) {
-            playButton.innerHTML = '<i class="fas fa-stop"></i> Stop';
-            playButton.classList.add('playing');
+    try {
+        // Without a pick, e.g. from the profile menu, the last used target starts again
+        const target = targetId || (gameTargets(game).some(t => t.id === game.lastTarget) ? game.lastTarget : undefined);
+        const result = await apiLaunchGame(game.id, profileId, target);
+        if (!result.success) {
+            showError(`Failed to launch ${escapeHtml(game.name)}: ${escapeHtml(result.error || 'Unknown error')}`);
+            setPlayButtonState(gameId, 'idle');
+            return;
+        }
+
+        // Update last played time (the server records it as well)
+        game.lastPlayed = new Date().toISOString();
+        if (result.target) {
+            game.lastTarget = result.target;
+        }
+
+        running.set(gameId, result.process);
+        setPlayButtonState(gameId, 'running');
+        showNotification(`Launching ${escapeHtml(game.name)}...`);
+        scheduleRunningPoll();
+    } catch (error) {
+        console.error('Failed to launch game:', error);
+        showError(`Failed to launch ${escapeHtml(game.name)}: ${escapeHtml(error.message)}`);
+        setPlayButtonState(gameId, 'idle');
+    }
+}
+
+// Edit the launch profiles and Wine settings of a game
+export async function editLaunchProfiles(gameId) {
+    const game = games.find(g => g.id === gameId);
+    if (!game) {
+        showError('Game not found');
+        return;
+    }
+
+    await openProfileEditor(game, (changes) => {
+        Object.assign(game, changes);
+        updateGameCard(game);
+        updateGameDetails(game);
+        if (running.has(gameId)) {
+            setPlayButtonState(gameId, 'running');
+        }
+    });
+}
+
+// Show the detail page of a game
+export function showGameDetails(gameId) {
+    renderGameDetails(games.find(g => g.id === gameId) || null);
+    if (running.has(gameId)) {
+        setPlayButtonState(gameId, 'running');
+    }
+}
+
+// Edit the name, description, cover, executable and tags of a game
+export function editGame(gameId) {
+    const game = games.find(g => g.id === gameId);
+    if (!game) {
+        showError('Game not found');
+        return;
+    }
+
+    openGameEditor(game, replaceGame);
+}
+
+// Add a game to the favorites or take it out again
+export async function toggleFavorite(gameId) {
+    const game = games.find(g => g.id === gameId);
+    if (!game) {
+        showError('Game not found');
+        return;
+    }
+
+    try {
+        const result = await setFavorite(gameId, !game.favorite);
+        if (!result.success) {
+            throw new Error(result.error || 'Unknown error');
         }
+        replaceGame(result.game);
+    } catch (error) {
+        console.error('Failed to save favorite:', error);
+        showError(`Failed to save favorite: ${escapeHtml(error.message)}`);
+    }
+}
 
-        // Simulate game closing after some time
-        setTimeout(() => {
-            if (playButton) {
-                playButton.innerHTML = '<i class="fas fa-play"></i> Play';
-                playButton.classList.remove('playing');
-            }
-            showNotification(`Finished playing ${game.title}`);
-        }, 5000);
-    }, 1000);
+// Pick the executable of a game from the ranked candidates of its folder
+export function chooseExecutable(gameId) {
+    const game = games.find(g => g.id === gameId);
+    if (!game) {
+        showError('Game not found');
+        return;
+    }
+
+    openExecutablePicker(game, replaceGame);
+}
+
+// Show a game the server sent back after a change
+function replaceGame(updated) {
+    const index = games.findIndex(g => g.id === updated.id);
+    if (index >= 0) games[index] = updated;
+    updateGameCard(updated);
+    updateGameDetails(updated);
+    if (running.has(updated.id)) {
+        setPlayButtonState(updated.id, 'running');
+    }
+}
+
+// Stop a running game
+export async function stopGame(gameId) {
+    setPlayButtonState(gameId, 'stopping');
+
+    try {
+        const result = await apiStopGame(gameId);
+        if (!result.success) {
+            showError(escapeHtml(result.error || 'Failed to stop game'));
+        }
+    } catch (error) {
+        console.error('Failed to stop game:', error);
+        showError(`Failed to stop game: ${escapeHtml(error.message)}`);
+    }
+
+    await refreshRunning();
+}
+
+// Refresh the running state from the server and update the play buttons
+export async function refreshRunning() {
+    try {
+        const data = await fetchRunning();
+        const nowRunning = new Map((data.running || []).map(info => [info.gameId, info]));
+
+        // Let the user know about games that exited since the last check
+        const exited = [...running.keys()].filter(gameId => !nowRunning.has(gameId));
+        exited.forEach(gameId => {
+            const exit = (data.recent || []).find(info => info.gameId === gameId);
+            notifyExit(gameId, exit);
+            setPlayButtonState(gameId, 'idle');
+        });
+
+        running = nowRunning;
+
+        // Exited games have a new play session, reload them for the updated playtime
+        if (exited.length > 0) {
+            await loadGames();
+        }
+        running.forEach((info, gameId) => setPlayButtonState(gameId, 'running'));
+    } catch (error) {
+        console.error('Error refreshing running games:', error);
+    }
+
+    scheduleRunningPoll();
+}
+
+// Keep polling while any game is running
+function scheduleRunningPoll() {
+    clearTimeout(runningPollTimer);
+    if (running.size > 0) {
+        runningPollTimer = setTimeout(refreshRunning, RUNNING_POLL_INTERVAL);
+    }
+}
+
+function notifyExit(gameId, exit) {
+    const name = escapeHtml(games.find(g => g.id === gameId)?.name || 'the game');
+
+    if (exit?.error) {
+        showError(`${name}: ${escapeHtml(exit.error)}`);
+    } else if (exit?.exitCode) {
+        showError(`${name} exited with code ${exit.exitCode}`);
+    } else {
+        showNotification(`Finished playing ${name}`);
+    }
 }
@@ -0,0 +1,129 @@
+/**
+ * Windowed, keyed rendering of the library grid. Only the rows in or near the viewport
+ * have cards; padding stands in for the rows above and below, so the scrollbar still
+ * covers the whole library. Cards are keyed by game ID and kept as long as their game
+ * object is the same, so a change to one game redraws only that game's card.
+ */
+
+// Rows drawn above and below the viewport, so fast scrolling does not show gaps
+const OVERSCAN_ROWS = 2;
+
+// Covers are 2:3, a row is this tall until a card can be measured
+const COVER_RATIO = 3 / 2;
+
+let container = null;
+let createCard = null;
+
+// Games in grid order, and the cards drawn right now keyed by game ID
+let items = [];
+let cards = new Map();
+
+// Height of a drawn card, null until one was measured
+let cardHeight = null;
+
+// Columns and row height, read from the grid's CSS so the card size classes keep working
+function measureLayout() {
+    const style = getComputedStyle(container);
+    const tracks = style.gridTemplateColumns.split(' ').filter(track => track && track !== 'none');
+    const columnWidth = parseFloat(tracks[0]) || container.clientWidth;
+    const rowGap = parseFloat(style.rowGap) || 0;
+
+    return {
+        columns: Math.max(1, tracks.length),
+        rowHeight: (cardHeight ?? columnWidth * COVER_RATIO) + rowGap
+    };
+}
+
+// Draw the cards of the rows in view, reusing the ones that are already there
+function update() {
+    // Hidden pages have no size to work with, they are drawn once shown
+    if (!container || items.length === 0 || container.clientWidth === 0) return;
+
+    const {columns, rowHeight} = measureLayout();
+    const rows = Math.ceil(items.length / columns);
+    const top = container.getBoundingClientRect().top;
+    const firstRow = Math.min(rows - 1, Math.max(0, Math.floor(-top / rowHeight) - OVERSCAN_ROWS));
+    const lastRow = Math.min(rows - 1, Math.max(firstRow, Math.ceil((window.innerHeight - top) / rowHeight) + OVERSCAN_ROWS));
+
+    container.style.paddingTop = `${firstRow * rowHeight}px`;
+    container.style.paddingBottom = `${(rows - lastRow - 1) * rowHeight}px`;
+
+    const drawn = new Map();
+    const wanted = items.slice(firstRow * columns, (lastRow + 1) * columns).map(game => {
+        const cached = cards.get(game.id);
+        const card = cached?.game === game ? cached.card : createCard(game);
+        drawn.set(game.id, {game, card});
+        return card;
+    });
+    cards = drawn;
+
+    // Cards that scrolled out go first, so the ones that stay are only moved if they are out of place
+    const keep = new Set(wanted);
+    [...container.children].forEach(child => {
+        if (!keep.has(child)) child.remove();
+    });
+    wanted.forEach((card, index) => {
+        if (container.children[index] !== card) {
+            container.insertBefore(card, container.children[index] || null);
+        }
+    });
+
+    // The guessed row height is corrected once a card shows how tall it really is
+    const measured = wanted[0].getBoundingClientRect().height;
+    if (measured > 0 && Math.abs(measured - (cardHeight ?? 0)) > 0.5) {
+        cardHeight = measured;
+        scheduleGridUpdate();
+    }
+}
+
+let updateScheduled = false;
+
+/**
+ * Draw the cards in view again with the next frame, e.g. after the card size changed.
+ * Scrolling and resizing do this on their own.
+ */
+export function scheduleGridUpdate() {
+    if (updateScheduled) return;
+    updateScheduled = true;
+    requestAnimationFrame(() => {
+        updateScheduled = false;
+        update();
+    });
+}
+
+/**
+ * Show games in the grid, in this order
+ * @param {Object[]} games - Games to show; a game whose object changed gets a new card
+ */
+export function setGridGames(games) {
+    items = games;
+    update();
+}
+
+/**
+ * Replace the cards with a message, e.g. when no game passes the filters
+ * @param {string} html - Message to show
+ */
+export function showGridMessage(html) {
+    items = [];
+    cards.clear();
+    container.style.paddingTop = '';
+    container.style.paddingBottom = '';
+    container.innerHTML = html;
+}
+
+/**
+ * Set up the windowed grid
+ * @param {HTMLElement} element - Grid container
+ * @param {Function} cardFactory - Builds the card element of a game
+ */
+export function initGameGrid(element, cardFactory) {
+    container = element;
+    createCard = cardFactory;
+
+    window.addEventListener('scroll', scheduleGridUpdate, {passive: true});
+    window.addEventListener('resize', scheduleGridUpdate);
+
+    // Card size changes and showing the library page change the width of the grid
+    new ResizeObserver(scheduleGridUpdate).observe(container);
+}
@@ -0,0 +1,148 @@
+/**
+ * Sorting and filtering of the library grid. The state is kept in the URL hash,
+ * e.g. `#library?sort=playtime&source=steam&tag=puzzle`, so a filtered view can be
+ * bookmarked and survives a reload. Values equal to the defaults are left out.
+ */
+
+import {scoreGame} from './search.js';
+
+export const SORT_OPTIONS = {
+    name: {label: 'Name', order: 'asc'},
+    lastPlayed: {label: 'Last played', order: 'desc'},
+    playtime: {label: 'Playtime', order: 'desc'},
+    added: {label: 'Date added', order: 'desc'},
+    size: {label: 'Install size', order: 'desc'}
+};
+
+export const FILTER_OPTIONS = {
+    source: {label: 'Source', values: {directory: 'Game folders', steam: 'Steam'}},
+    runner: {label: 'Runs with', values: {native: 'Native', wine: 'Wine / Proton', steam: 'Steam'}},
+    status: {label: 'Status', values: {installed: 'Installed', missing: 'Missing'}}
+};
+
+// An empty value means the filter is off, an empty order the default order of the sort
+export const DEFAULT_FILTERS = Object.freeze({
+    sort: 'name',
+    order: '',
+    source: '',
+    runner: '',
+    status: '',
+    tag: '',
+    collection: '',
+    q: ''
+});
+
+/**
+ * Read the filters from the query part of the hash
+ * @param {string} query - e.g. `sort=playtime&tag=puzzle`
+ * @returns {Object} - Complete filter state, unknown values fall back to the defaults
+ */
+export function parseFilters(query) {
+    const params = new URLSearchParams(query || '');
+    const filters = {...DEFAULT_FILTERS};
+
+    for (const name of Object.keys(DEFAULT_FILTERS)) {
+        const value = params.get(name);
+        if (value) filters[name] = value;
+    }
+
+    if (!SORT_OPTIONS[filters.sort]) filters.sort = DEFAULT_FILTERS.sort;
+    if (!['asc', 'desc'].includes(filters.order)) filters.order = '';
+    for (const [name, {values}] of Object.entries(FILTER_OPTIONS)) {
+        if (!values[filters[name]]) filters[name] = '';
+    }
+
+    return filters;
+}
+
+/**
+ * Write the filters back into a query string
+ * @param {Object} filters - Filter state
+ * @returns {string} - Query without the leading `?`, empty for the defaults
+ */
+export function filtersToQuery(filters) {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(filters)) {
+        if (value && value !== DEFAULT_FILTERS[name]) {
+            params.set(name, value);
+        }
+    }
+    return params.toString();
+}
+
+/**
+ * Whether any filter hides games, the sort order does not count
+ * @param {Object} filters - Filter state
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+    return ['source', 'runner', 'status', 'tag', 'collection', 'q'].some(name => filters[name]);
+}
+
+/**
+ * Whether a game passes the filters
+ * @param {Object} game - Game from the library
+ * @param {Object} filters - Filter state
+ * @returns {boolean}
+ */
+export function matchesFilters(game, filters) {
+    if (filters.source && (game.source === 'steam' ? 'steam' : 'directory') !== filters.source) return false;
+    if (filters.runner && game.launchKind !== filters.runner) return false;
+    if (filters.status && (game.missing ? 'missing' : 'installed') !== filters.status) return false;
+    if (filters.tag && !(game.tags || []).includes(filters.tag)) return false;
+    if (filters.collection && !(game.collections || []).includes(filters.collection)) return false;
+
+    if (filters.q && scoreGame(filters.q, game) === null) return false;
+
+    return true;
+}
+
+// Value a game is sorted by; null sorts last in either order
+function sortValue(game, sort) {
+    switch (sort) {
+        case 'lastPlayed':
+            return game.lastPlayed ? Date.parse(game.lastPlayed) : null;
+        case 'playtime':
+            return game.playtime || null;
+        case 'added':
+            return game.added ? Date.parse(game.added) : null;
+        case 'size':
+            return typeof game.installSize === 'number' ? game.installSize : null;
+        default:
+            return null;
+    }
+}
+
+const nameCollator = new Intl.Collator(undefined, {numeric: true, sensitivity: 'base'});
+
+/**
+ * Sort games for the grid, ties are broken by name. While searching, the default
+ * sort ranks the best matches first; picking a sort or an order overrides that.
+ * @param {Object[]} games - Games to sort, the array is not changed
+ * @param {Object} filters - Filter state with `sort` and `order`
+ * @returns {Object[]}
+ */
+export function sortGames(games, filters) {
+    const sort = SORT_OPTIONS[filters.sort] ? filters.sort : DEFAULT_FILTERS.sort;
+    const direction = (filters.order || SORT_OPTIONS[sort].order) === 'asc' ? 1 : -1;
+    const byName = (a, b) => nameCollator.compare(a.name || '', b.name || '');
+
+    if (filters.q && sort === DEFAULT_FILTERS.sort && !filters.order) {
+        const now = Date.now();
+        const scores = new Map(games.map(game => [game, scoreGame(filters.q, game, now) ?? -Infinity]));
+        return [...games].sort((a, b) => scores.get(b) - scores.get(a) || byName(a, b));
+    }
+
+    if (sort === 'name') {
+        return [...games].sort((a, b) => direction * byName(a, b));
+    }
+
+    return [...games].sort((a, b) => {
+        const valueA = sortValue(a, sort);
+        const valueB = sortValue(b, sort);
+        if (valueA === valueB) return byName(a, b);
+        if (valueA === null) return 1;
+        if (valueB === null) return -1;
+        return direction * (valueA - valueB) || byName(a, b);
+    });
+}
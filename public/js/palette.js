@@ -0,0 +1,160 @@
+import {searchGames} from './search.js';
+import {escapeHtml, formatRelativeTime} from './utils.js';
+import {showPage} from './ui.js';
+
+// Quick launch palette, opened with "/" or Ctrl+K from anywhere in the app
+let dialog = null;
+let input = null;
+let list = null;
+
+// Where the games come from and which of them are running
+let source = null;
+
+// Games listed right now and the highlighted one
+let results = [];
+let selected = 0;
+
+const MAX_RESULTS = 8;
+
+// Typing into these must not open the palette on "/"
+function isEditable(element) {
+    return element instanceof HTMLElement &&
+        (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+}
+
+function getDialog() {
+    if (dialog) return dialog;
+
+    dialog = document.createElement('dialog');
+    dialog.className = 'modal command-palette';
+    dialog.innerHTML = `
+        <div class="palette-search">
+            <i class="fas fa-search"></i>
+            <input type="text" placeholder="Type a game to launch..." autocomplete="off" spellcheck="false">
+        </div>
+        <ul class="palette-results"></ul>
+        <footer class="palette-hint">
+            <span><kbd>↑</kbd><kbd>↓</kbd> select</span>
+            <span><kbd>Enter</kbd> play</span>
+            <span><kbd>Shift</kbd>+<kbd>Enter</kbd> details</span>
+            <span><kbd>Esc</kbd> close</span>
+        </footer>
+    `;
+
+    input = dialog.querySelector('input');
+    list = dialog.querySelector('.palette-results');
+
+    input.addEventListener('input', render);
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length > 0) {
+                selected = (selected + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+                highlight();
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            choose(results[selected], e.shiftKey);
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-index]');
+        if (item) {
+            choose(results[Number(item.dataset.index)], e.shiftKey);
+        }
+    });
+
+    // Clicking the backdrop closes the palette
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) dialog.close();
+    });
+
+    document.body.appendChild(dialog);
+    return dialog;
+}
+
+// List the best matches, or the recently played games before anything is typed
+function render() {
+    const games = source.getGames();
+    const query = input.value.trim();
+
+    results = query
+        ? searchGames(games, query, MAX_RESULTS)
+        : games
+            .filter(game => game.lastPlayed)
+            .sort((a, b) => Date.parse(b.lastPlayed) - Date.parse(a.lastPlayed))
+            .slice(0, MAX_RESULTS);
+    selected = 0;
+
+    if (results.length === 0) {
+        list.innerHTML = `<li class="palette-empty">${query ? 'No matching games' : 'Type to search your library'}</li>`;
+        return;
+    }
+
+    list.innerHTML = results.map((game, index) => `
+        <li class="palette-item" data-index="${index}">
+            <img src="${escapeHtml(game.icon || 'default-game-image.jpg')}" alt="">
+            <span class="palette-name">${escapeHtml(game.name)}</span>
+            <small>
+                ${source.isRunning(game.id) ? 'Running' : game.missing ? 'Missing' : `Played ${escapeHtml(formatRelativeTime(game.lastPlayed).toLowerCase())}`}
+            </small>
+        </li>`).join('');
+    highlight();
+}
+
+function highlight() {
+    list.querySelectorAll('.palette-item').forEach(item => {
+        const active = Number(item.dataset.index) === selected;
+        item.classList.toggle('selected', active);
+        if (active) item.scrollIntoView({block: 'nearest'});
+    });
+}
+
+// Launch the game, or show its details; a running game is never stopped from here
+function choose(game, details) {
+    if (!game) return;
+
+    dialog.close();
+    if (details || source.isRunning(game.id)) {
+        showPage(`game/${encodeURIComponent(game.id)}`);
+    } else {
+        window.launchGame(game.id);
+    }
+}
+
+/**
+ * Open the quick launch palette
+ */
+export function openPalette() {
+    const palette = getDialog();
+    if (palette.open) return;
+
+    input.value = '';
+    render();
+    palette.showModal();
+    input.focus();
+}
+
+/**
+ * Set up the quick launch palette and its keyboard shortcuts
+ * @param {Object} options
+ * @param {Function} options.getGames - Returns the games in the library
+ * @param {Function} options.isRunning - Tells whether a game is running, by ID
+ */
+export function initPalette(options) {
+    source = options;
+
+    document.addEventListener('keydown', (e) => {
+        const shortcut = (e.key === 'k' || e.key === 'K') && (e.ctrlKey || e.metaKey) && !e.altKey;
+        const slash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !isEditable(e.target);
+        if (!shortcut && !slash) return;
+
+        // Other dialogs keep the keyboard to themselves
+        if (document.querySelector('dialog[open]:not(.command-palette)')) return;
+
+        e.preventDefault();
+        openPalette();
+    });
+}
@@ -0,0 +1,361 @@
+import {fetchLaunchProfiles, saveLaunchProfiles, saveLaunchTargets, fetchRunners, saveGameRunner} from './api.js';
+import {runnerOptions} from './config.js';
+import {escapeHtml, showError, showNotification} from './utils.js';
+
+// Dialog for editing launch profiles, created on first use
+let dialog = null;
+
+// Profile or target menu that is currently open
+let openMenu = null;
+
+// Matches MAIN_TARGET_ID on the server, the game's own executable
+const MAIN_TARGET_ID = 'main';
+
+// Quote arguments so the server splits them back into the same list
+function joinArgs(args = []) {
+    return args.map(arg => (arg === '' || /[\s"'\\]/.test(arg)
+        ? `"${arg.replace(/(["\\])/g, '\\$1')}"`
+        : arg)).join(' ');
+}
+
+// Parse KEY=VALUE lines into an environment object
+function parseEnv(text) {
+    const env = {};
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const separator = line.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Expected NAME=value but got "${line}"`);
+        }
+        env[line.substring(0, separator).trim()] = line.substring(separator + 1);
+    });
+    return env;
+}
+
+function getDialog() {
+    if (dialog) return dialog;
+
+    dialog = document.createElement('dialog');
+    dialog.className = 'modal profile-dialog';
+    dialog.innerHTML = `
+        <form method="dialog">
+            <header class="modal-header">
+                <h3></h3>
+                <button type="button" class="btn-icon modal-close" title="Close">
+                    <i class="fas fa-times"></i>
+                </button>
+            </header>
+            <fieldset class="profile-form runner-form">
+                <legend>Windows</legend>
+                <div class="form-group">
+                    <label>Runner</label>
+                    <select class="form-control" name="runner"></select>
+                </div>
+                <div class="form-group">
+                    <label>Wine prefix <small>(absolute path of an existing prefix or empty folder, empty for the game's own prefix)</small></label>
+                    <input type="text" class="form-control" name="winePrefix" placeholder="Created on first launch">
+                </div>
+            </fieldset>
+            <fieldset class="profile-form target-form">
+                <legend>Launch Targets</legend>
+                <ul class="detected-targets"></ul>
+                <div class="target-list"></div>
+                <button type="button" class="btn add-target">
+                    <i class="fas fa-plus"></i> Add Target
+                </button>
+            </fieldset>
+            <div class="profile-list"></div>
+            <button type="button" class="btn add-profile">
+                <i class="fas fa-plus"></i> Add Profile
+            </button>
+            <footer class="modal-footer">
+                <button type="button" class="btn modal-close">Cancel</button>
+                <button type="submit" class="btn btn-primary">Save</button>
+            </footer>
+        </form>
+    `;
+
+    dialog.querySelectorAll('.modal-close').forEach(btn => {
+        btn.addEventListener('click', () => dialog.close());
+    });
+    dialog.querySelector('.add-target').addEventListener('click', () => {
+        dialog.querySelector('.target-list').appendChild(createTargetForm({label: 'New Target'}));
+    });
+    dialog.querySelector('.add-profile').addEventListener('click', () => {
+        const list = dialog.querySelector('.profile-list');
+        list.appendChild(createProfileForm({name: 'New Profile'}, false));
+    });
+
+    document.body.appendChild(dialog);
+    return dialog;
+}
+
+// Build the form fields of one profile
+function createProfileForm(profile, isDefault) {
+    const form = document.createElement('fieldset');
+    form.className = 'profile-form';
+    if (profile.id) {
+        form.dataset.id = profile.id;
+    }
+
+    const env = Object.entries(profile.env || {}).map(([name, value]) => `${name}=${value}`).join('\n');
+    const wrappers = (profile.wrappers || []).map(wrapper => joinArgs(wrapper)).join('\n');
+
+    form.innerHTML = `
+        <div class="profile-form-header">
+            <input type="text" class="form-control" name="name" placeholder="Profile name" value="${escapeHtml(profile.name || '')}" required>
+            <label class="profile-default" title="Used by the Play button">
+                <input type="radio" name="defaultProfile" ${isDefault ? 'checked' : ''}> Default
+            </label>
+            <button type="button" class="btn-icon remove-profile" title="Remove profile">
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+        <div class="form-group">
+            <label>Arguments</label>
+            <input type="text" class="form-control" name="args" placeholder="-windowed -nointro" value="${escapeHtml(joinArgs(profile.args))}">
+        </div>
+        <div class="form-group">
+            <label>Environment variables <small>(one NAME=value per line)</small></label>
+            <textarea class="form-control" name="env" rows="2" placeholder="DXVK_HUD=fps">${escapeHtml(env)}</textarea>
+        </div>
+        <div class="form-group">
+            <label>Working directory <small>(relative to the game folder)</small></label>
+            <input type="text" class="form-control" name="cwd" placeholder="Game folder" value="${escapeHtml(profile.cwd || '')}">
+        </div>
+        <div class="form-group">
+            <label>Wrapper commands <small>(one per line, outermost first; known tools such as gamescope with their options only)</small></label>
+            <textarea class="form-control" name="wrappers" rows="2" placeholder="gamemoderun&#10;mangohud">${escapeHtml(wrappers)}</textarea>
+        </div>
+    `;
+
+    form.querySelector('.remove-profile').addEventListener('click', () => form.remove());
+    return form;
+}
+
+// Build the form fields of a target the user added
+function createTargetForm(target) {
+    const form = document.createElement('div');
+    form.className = 'target-row';
+    if (target.id) {
+        form.dataset.id = target.id;
+    }
+
+    form.innerHTML = `
+        <input type="text" class="form-control" name="label" placeholder="Label" value="${escapeHtml(target.label || '')}" required>
+        <input type="text" class="form-control" name="executable" placeholder="Executable, relative to the game folder" value="${escapeHtml(target.executable || '')}" required>
+        <input type="text" class="form-control" name="args" placeholder="Arguments" value="${escapeHtml(joinArgs(target.args))}">
+        <button type="button" class="btn-icon remove-target" title="Remove target">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+
+    form.querySelector('.remove-target').addEventListener('click', () => form.remove());
+    return form;
+}
+
+function readTargetForms() {
+    return [...dialog.querySelectorAll('.target-list .target-row')].map(form => {
+        const field = name => form.querySelector(`[name="${name}"]`);
+        return {
+            id: form.dataset.id || null,
+            label: field('label').value.trim(),
+            executable: field('executable').value.trim(),
+            args: field('args').value
+        };
+    });
+}
+
+// Read the profiles back from the dialog
+function readProfileForms() {
+    return [...dialog.querySelectorAll('.profile-list .profile-form')].map(form => {
+        const field = name => form.querySelector(`[name="${name}"]`);
+        return {
+            id: form.dataset.id || null,
+            name: field('name').value.trim(),
+            default: field('defaultProfile').checked,
+            args: field('args').value,
+            env: parseEnv(field('env').value),
+            cwd: field('cwd').value.trim(),
+            wrappers: field('wrappers').value.split('\n').filter(line => line.trim())
+        };
+    });
+}
+
+/**
+ * Open the launch profile editor of a game
+ * @param {Object} game - Game from the library
+ * @param {Function} onSaved - Called with the changed game fields
+ */
+export async function openProfileEditor(game, onSaved) {
+    let data;
+    let runners;
+    try {
+        [data, runners] = await Promise.all([fetchLaunchProfiles(game.id), fetchRunners()]);
+        if (data.error) throw new Error(data.error);
+    } catch (error) {
+        showError(`Failed to load launch profiles: ${escapeHtml(error.message)}`);
+        return;
+    }
+
+    const editor = getDialog();
+    editor.querySelector('h3').textContent = `Launch Options: ${game.name}`;
+
+    // Steam runs its games with the Proton picked in Steam
+    const runnerForm = editor.querySelector('.runner-form');
+    runnerForm.hidden = game.source === 'steam';
+    runnerForm.querySelector('[name="runner"]').innerHTML = runnerOptions(Array.isArray(runners) ? runners : [], game.runner, 'Directory or default runner');
+    runnerForm.querySelector('[name="winePrefix"]').value = game.winePrefix || '';
+
+    // Steam starts its games itself, so only other games have targets
+    const targetForm = editor.querySelector('.target-form');
+    targetForm.hidden = game.source === 'steam';
+    targetForm.querySelector('.detected-targets').innerHTML = gameTargets(game)
+        .filter(target => target.source !== 'user')
+        .map(target => `<li>${escapeHtml(target.label)} <code>${escapeHtml(target.executable)}</code></li>`)
+        .join('');
+    const targetList = targetForm.querySelector('.target-list');
+    targetList.innerHTML = '';
+    (game.customTargets || []).forEach(target => targetList.appendChild(createTargetForm(target)));
+
+    const list = editor.querySelector('.profile-list');
+    list.innerHTML = '';
+    const profiles = data.profiles.length > 0 ? data.profiles : [{id: data.defaultProfile, name: 'Default'}];
+    profiles.forEach(profile => {
+        list.appendChild(createProfileForm(profile, profile.id === data.defaultProfile));
+    });
+
+    editor.querySelector('form').onsubmit = async (e) => {
+        e.preventDefault();
+
+        // The parts are saved one after another, so a failure can leave the earlier ones saved
+        const changes = {};
+        let part = 'launch profiles';
+
+        try {
+            // New profiles get their ID from the server, so the default is flagged on the profile
+            const result = await saveLaunchProfiles(game.id, readProfileForms());
+            if (!result.success) {
+                throw new Error(result.error || 'Unknown error');
+            }
+            Object.assign(changes, {launchProfiles: result.profiles, defaultProfile: result.defaultProfile});
+
+            // Saving again after a later part failed must not give the new profiles other IDs
+            list.querySelectorAll('.profile-form').forEach((form, index) => {
+                form.dataset.id = result.profiles[index].id;
+            });
+
+            if (!targetForm.hidden) {
+                part = 'launch targets';
+                const targetResult = await saveLaunchTargets(game.id, readTargetForms());
+                if (!targetResult.success) {
+                    throw new Error(targetResult.error || 'Unknown error');
+                }
+                changes.customTargets = targetResult.customTargets;
+            }
+
+            if (!runnerForm.hidden) {
+                part = 'runner';
+                const runner = runnerForm.querySelector('[name="runner"]').value || null;
+                const winePrefix = runnerForm.querySelector('[name="winePrefix"]').value.trim() || null;
+                const runnerResult = await saveGameRunner(game.id, runner, winePrefix);
+                if (!runnerResult.success) {
+                    throw new Error(runnerResult.error || 'Unknown error');
+                }
+                Object.assign(changes, {runner: runnerResult.runner, winePrefix: runnerResult.winePrefix});
+            }
+
+            editor.close();
+            showNotification(`Saved launch options for ${escapeHtml(game.name)}`, 'success');
+            onSaved(changes);
+        } catch (error) {
+            if (Object.keys(changes).length > 0) {
+                onSaved(changes);
+            }
+            showError(`Failed to save the ${part} of ${escapeHtml(game.name)}: ${escapeHtml(error.message)}`);
+        }
+    };
+
+    editor.showModal();
+}
+
+function closeProfileMenu() {
+    openMenu?.remove();
+    openMenu = null;
+    document.removeEventListener('click', closeProfileMenu);
+}
+
+/**
+ * Launch targets of a game as the server lists them, the game's own executable first
+ * @param {Object} game - Game from the library
+ * @returns {Object[]}
+ */
+export function gameTargets(game) {
+    const folder = `${game.installPath}/`;
+    const main = {
+        id: MAIN_TARGET_ID,
+        label: 'Game',
+        executable: game.path?.startsWith(folder) ? game.path.substring(folder.length) : game.path,
+        args: []
+    };
+    if (game.source === 'steam') return [main];
+
+    return [
+        main,
+        ...(game.detectedTargets || []).map(target => ({...target, source: 'detected'})),
+        ...(game.customTargets || []).map(target => ({...target, source: 'user'}))
+    ];
+}
+
+// Show a menu of launch choices next to an element, one item is highlighted
+function openPlayMenu(anchor, kind, items, highlighted, onPick) {
+    const wasOpen = openMenu?.parentElement === anchor.parentElement && openMenu.dataset.kind === kind;
+    closeProfileMenu();
+    if (wasOpen) return;
+
+    const menu = document.createElement('ul');
+    menu.className = 'play-menu';
+    menu.dataset.kind = kind;
+    menu.innerHTML = items.map(item => `
+        <li data-id="${escapeHtml(item.id)}" class="${item.id === highlighted ? 'default' : ''}" ${item.title ? `title="${escapeHtml(item.title)}"` : ''}>
+            <i class="fas fa-play"></i> ${escapeHtml(item.label)}
+        </li>`).join('');
+
+    menu.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const item = e.target.closest('li[data-id]');
+        if (item) {
+            closeProfileMenu();
+            onPick(item.dataset.id);
+        }
+    });
+
+    anchor.parentElement.appendChild(menu);
+    openMenu = menu;
+
+    // Close on the next click anywhere else
+    setTimeout(() => document.addEventListener('click', closeProfileMenu));
+}
+
+/**
+ * Show a menu below an element to pick the launch profile of a game
+ * @param {HTMLElement} anchor - Element the menu belongs to
+ * @param {Object} game - Game from the library
+ * @param {Function} onPick - Called with the picked profile ID
+ */
+export function openProfileMenu(anchor, game, onPick) {
+    const items = (game.launchProfiles || []).map(profile => ({id: profile.id, label: profile.name}));
+    openPlayMenu(anchor, 'profile', items, game.defaultProfile, onPick);
+}
+
+/**
+ * Show a menu below an element to pick the launch target of a game, the last used one highlighted
+ * @param {HTMLElement} anchor - Element the menu belongs to
+ * @param {Object} game - Game from the library
+ * @param {Function} onPick - Called with the picked target ID
+ */
+export function openTargetMenu(anchor, game, onPick) {
+    const targets = gameTargets(game);
+    const items = targets.map(target => ({id: target.id, label: target.label, title: target.executable}));
+    const lastTarget = targets.some(target => target.id === game.lastTarget) ? game.lastTarget : MAIN_TARGET_ID;
+    openPlayMenu(anchor, 'target', items, lastTarget, onPick);
+}
@@ -0,0 +1,114 @@
+/**
+ * Fuzzy matching of games for the library search and the command palette.
+ * Case, accents, punctuation and spacing are ignored and roman numerals count as
+ * numbers, so "witcher3" finds "The Witcher III". Better matches score higher and
+ * recently played games get a small boost.
+ */
+
+const ROMAN_NUMERALS = {
+    i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8, ix: 9, x: 10,
+    xi: 11, xii: 12, xiii: 13, xiv: 14, xv: 15, xvi: 16, xvii: 17, xviii: 18, xix: 19, xx: 20
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much a game played right now gains, fading over about a month
+const RECENCY_BONUS = 60;
+const RECENCY_DAYS = 30;
+
+// Subsequence matches spread wider than this many times the query length are noise
+const MAX_SPREAD = 3;
+
+/**
+ * Split text into comparable words: lowercase, without accents or punctuation,
+ * with roman numerals written as numbers and numbers split from letters
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function normalizeWords(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/(\d)([a-z])|([a-z])(\d)/g, '$1$3 $2$4')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .map(word => String(ROMAN_NUMERALS[word] ?? word));
+}
+
+// Score how well a query matches a text, null if it does not match at all
+function scoreWords(queryWords, textWords) {
+    const query = queryWords.join('');
+    const text = textWords.join('');
+    if (!query || !text) return null;
+
+    if (text === query) return 1000;
+    if (text.startsWith(query)) return 900 - (text.length - query.length);
+
+    // A match at the start of a word beats one inside a word
+    const wordStart = textWords.findIndex((word, index) => textWords.slice(index).join('').startsWith(query));
+    if (wordStart >= 0) return 800 - wordStart * 10;
+
+    const position = text.indexOf(query);
+    if (position >= 0) return 600 - position;
+
+    // Initials, e.g. "gta5" for "Grand Theft Auto V"
+    const initials = textWords.map(word => (/^\d+$/.test(word) ? word : word[0])).join('');
+    if (initials.startsWith(query)) return 500 - (initials.length - query.length);
+
+    // Letters in order with gaps, e.g. "wtchr" for "witcher"
+    let start = -1;
+    let end = -1;
+    for (const char of query) {
+        end = text.indexOf(char, end + 1);
+        if (end < 0) return null;
+        if (start < 0) start = end;
+    }
+    const spread = end - start + 1;
+    if (spread > query.length * MAX_SPREAD) return null;
+    return 300 - (spread - query.length) * 10 - start;
+}
+
+/**
+ * Score a game for a search query
+ * @param {string} query - What the user typed
+ * @param {Object} game - Game from the library
+ * @param {number} [now] - Current time, for the recency boost
+ * @returns {number|null} - Higher is better, null if the game does not match
+ */
+export function scoreGame(query, game, now = Date.now()) {
+    const queryWords = normalizeWords(query);
+    if (queryWords.length === 0) return 0;
+
+    // The name counts most, tags and the description only find games by plain text
+    let score = scoreWords(queryWords, normalizeWords(game.name));
+    if (score === null) {
+        const query = queryWords.join(' ');
+        const extra = [...(game.tags || []), game.description || ''].map(text => normalizeWords(text).join(' '));
+        if (!extra.some(text => text.includes(query))) return null;
+        score = 100;
+    }
+
+    if (game.lastPlayed) {
+        const days = Math.max(0, now - Date.parse(game.lastPlayed)) / DAY_MS;
+        score += RECENCY_BONUS * Math.exp(-days / RECENCY_DAYS);
+    }
+    return score;
+}
+
+/**
+ * Find the games matching a query, best first
+ * @param {Object[]} games - Games to search
+ * @param {string} query - What the user typed
+ * @param {number} [limit] - Most results to return
+ * @returns {Object[]}
+ */
+export function searchGames(games, query, limit = Infinity) {
+    const now = Date.now();
+    return games
+        .map(game => ({game, score: scoreGame(query, game, now)}))
+        .filter(result => result.score !== null)
+        .sort((a, b) => b.score - a.score || (a.game.name || '').localeCompare(b.game.name || ''))
+        .slice(0, limit)
+        .map(result => result.game);
+}
@@ -1,4 +1,16 @@
-import {escapeHtml} from './utils.js';
+import {escapeHtml, formatPlaytime, formatRelativeTime} from './utils.js';
+import {openProfileMenu, openTargetMenu, gameTargets} from './profiles.js';
+import {
+    SORT_OPTIONS,
+    FILTER_OPTIONS,
+    DEFAULT_FILTERS,
+    parseFilters,
+    filtersToQuery,
+    hasActiveFilters,
+    matchesFilters,
+    sortGames
+} from './library-filters.js';
+import {initGameGrid, setGridGames, showGridMessage, scheduleGridUpdate} from './grid.js';
 
 // DOM Elements
 let navItems;
@@ -8,13 +20,33 @@ let refreshBtn;
 let cardSizeSlider;
 let gamesContainer;
 
+// Page shown right now, as in the URL hash
+let currentPage = null;
+
+// Sort order and filters of the library grid, kept in the hash as library?<query>
+let libraryFilters = {...DEFAULT_FILTERS};
+
+// Every game in the library, the grid shows the ones that pass the filters
+let libraryGames = [];
+
+// Launch state of each game's play buttons, kept across re-renders
+const playStates = new Map();
+
+// Sort and filter controls above the grid
+let toolbar = null;
+
 // Initialize UI module
 export async function initUI(elements) {
     ({navItems, pages, searchInput, refreshBtn} = elements);
+    initLibraryToolbar(elements.libraryToolbar);
 
     // Initialize DOM elements
     cardSizeSlider = document.getElementById('cardSizeSlider');
     gamesContainer = document.querySelector('.games-container');
+    if (gamesContainer) {
+        initGameGrid(gamesContainer, createGameCard);
+        gamesContainer.addEventListener('click', handleGridClick);
+    }
 
     // Wait for config to be loaded
     if (window.loadConfig) {
@@ -123,6 +155,9 @@ function updateCardSize(size) {
 
     // Add the selected size class
     gamesContainer.classList.add(`${size}-cards`);
+
+    // Another size fits another number of cards in a row
+    scheduleGridUpdate();
 }
 
 // Navigation functions
@@ -134,6 +169,14 @@ function initNavigation() {
 
     console.log('Initializing navigation with items:', navItems.length);
 
+    // Back and forward move between pages, including game detail pages
+    window.addEventListener('hashchange', () => {
+        const page = window.location.hash.substring(1) || 'library';
+        if (page !== currentPage) {
+            showPage(page);
+        }
+    });
+
     navItems.forEach(item => {
         item.addEventListener('click', (e) => {
             e.preventDefault();
@@ -154,7 +197,21 @@ export function showPage(pageId) {
     }
 
     // Remove -page suffix if present for URL hash
-    const cleanPageId = pageId.replace('-page', '');
+    const [pagePath, query] = pageId.split('?');
+    let cleanPageId = pagePath.replace('-page', '');
+
+    // The library keeps its filters in the query, without one it shows them as they were
+    if (cleanPageId === 'library') {
+        if (query !== undefined) {
+            libraryFilters = parseFilters(query);
+            renderLibrary();
+        }
+        cleanPageId = libraryHash();
+    }
+    currentPage = cleanPageId;
+
+    // Detail pages are addressed as game/<id>
+    const [pageName, ...params] = cleanPageId.split('?')[0].split('/');
 
     console.log('Showing page:', cleanPageId);
 
@@ -176,8 +233,12 @@ export function showPage(pageId) {
         console.warn('No nav items found to update');
     }
 
+    if (pageName === 'game') {
+        window.showGameDetails?.(decodeURIComponent(params.join('/')));
+    }
+
     // Show the selected page
-    const pageElement = document.getElementById(cleanPageId + '-page') || document.getElementById(cleanPageId);
+    const pageElement = document.getElementById(pageName + '-page') || document.getElementById(pageName);
     if (pageElement) {
         pageElement.style.display = 'block';
         console.log('Page displayed:', cleanPageId);
@@ -188,14 +249,17 @@ export function showPage(pageId) {
     // Update URL hash without -page suffix
     window.location.hash = cleanPageId;
 
-    // Add active class to the clicked nav item
-    const activeNavItem = document.querySelector(`.nav-item[data-page="${cleanPageId}"]`);
+    // Add active class to the clicked nav item, games belong to the library
+    const navPage = pageName === 'game' ? 'library' : pageName;
+    const activeNavItem = document.querySelector(`.nav-item[data-page="${navPage}"]`);
     if (activeNavItem) {
         activeNavItem.classList.add('active');
-        console.log('Active nav item set to:', cleanPageId);
+        console.log('Active nav item set to:', navPage);
     } else {
-        console.warn('Could not find nav item for page:', cleanPageId);
+        console.warn('Could not find nav item for page:', navPage);
     }
+
+    window.scrollTo(0, 0);
 }
 
 // Set up event listeners
@@ -203,8 +267,7 @@ function setupEventListeners() {
     // Search functionality
     if (searchInput) {
         searchInput.addEventListener('input', (e) => {
-            const searchTerm = e.target.value.toLowerCase();
-            filterGames(searchTerm);
+            filterGames(e.target.value.trim());
         });
     }
 
@@ -221,162 +284,316 @@ function setupEventListeners() {
 
 // Filter games based on search term
 export function filterGames(searchTerm) {
-    const gameCards = document.querySelectorAll('.game-card');
-    if (!gameCards) return;
+    setLibraryFilters({q: searchTerm});
+}
 
-    gameCards.forEach(card => {
-        const title = card.querySelector('.game-title')?.textContent.toLowerCase() || '';
-        const description = card.querySelector('.game-description')?.textContent.toLowerCase() || '';
+/**
+ * Current sort order and filters of the library grid
+ * @returns {Object}
+ */
+export function getLibraryFilters() {
+    return {...libraryFilters};
+}
 
-        if (title.includes(searchTerm) || description.includes(searchTerm)) {
-            card.style.display = 'block';
-        } else {
-            card.style.display = 'none';
-        }
+/**
+ * Change the sort order or filters of the library grid and keep them in the URL hash
+ * @param {Object} changes - Filters to change, an empty value turns a filter off
+ */
+export function setLibraryFilters(changes) {
+    libraryFilters = parseFilters(filtersToQuery({...libraryFilters, ...changes}));
+
+    // Replacing the entry keeps typing in the search box out of the history
+    if (currentPage?.split('?')[0] === 'library') {
+        currentPage = libraryHash();
+        history.replaceState(null, '', `#${currentPage}`);
+    }
+    renderLibrary();
+}
+
+function libraryHash() {
+    const query = filtersToQuery(libraryFilters);
+    return query ? `library?${query}` : 'library';
+}
+
+/**
+ * Show the filter state in the toolbar, the search box and the sidebar, e.g. after the hash changed
+ */
+export function syncFilterControls() {
+    if (searchInput && searchInput.value !== libraryFilters.q) {
+        searchInput.value = libraryFilters.q;
+    }
+
+    if (toolbar) {
+        toolbar.querySelectorAll('select[name]').forEach(select => {
+            select.value = libraryFilters[select.name];
+        });
+        const order = libraryFilters.order || SORT_OPTIONS[libraryFilters.sort].order;
+        const orderButton = toolbar.querySelector('.sort-order');
+        orderButton.dataset.order = order;
+        orderButton.innerHTML = `<i class="fas fa-sort-amount-${order === 'asc' ? 'up' : 'down'}-alt"></i>`;
+        orderButton.title = order === 'asc' ? 'Ascending' : 'Descending';
+        toolbar.querySelector('.clear-filters').hidden = !hasActiveFilters(libraryFilters);
+    }
+
+    // The sidebar shows which collection the grid is filtered by
+    document.querySelectorAll('.collection-item').forEach(item => {
+        item.classList.toggle('active', (item.dataset.collection || '') === libraryFilters.collection);
     });
+    const title = document.getElementById('library-title');
+    if (title) {
+        const collection = document.querySelector(`.collection-item.active[data-collection]:not([data-collection=""]) span`);
+        title.textContent = collection?.textContent || 'Game Library';
+    }
 }
 
-// Render games in the UI
-export function renderGames(games) {
-    const gamesContainer = document.getElementById('games-container');
+// Tags to filter by, from every game in the library
+function updateTagOptions() {
+    const select = toolbar?.querySelector('select[name="tag"]');
+    if (!select) return;
+
+    const tags = [...new Set(libraryGames.flatMap(game => game.tags || []))]
+        .sort((a, b) => a.localeCompare(b, undefined, {sensitivity: 'base'}));
+    if (libraryFilters.tag && !tags.includes(libraryFilters.tag)) {
+        tags.unshift(libraryFilters.tag);
+    }
+
+    select.innerHTML = `<option value="">All tags</option>${tags.map(tag => `
+        <option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('')}`;
+    select.value = libraryFilters.tag;
+}
+
+// Build the sort and filter controls above the grid
+function initLibraryToolbar(element) {
+    toolbar = element;
+    if (!toolbar) return;
+
+    toolbar.innerHTML = `
+        <label>
+            Sort by
+            <select class="form-control" name="sort">
+                ${Object.entries(SORT_OPTIONS).map(([value, {label}]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+        </label>
+        <button type="button" class="btn-icon sort-order"></button>
+        ${Object.entries(FILTER_OPTIONS).map(([name, {label, values}]) => `
+        <select class="form-control" name="${name}" title="${label}">
+            <option value="">${label}: all</option>
+            ${Object.entries(values).map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}
+        </select>`).join('')}
+        <select class="form-control" name="tag" title="Tag"></select>
+        <button type="button" class="btn clear-filters" hidden>
+            <i class="fas fa-times"></i> Clear filters
+        </button>
+    `;
+
+    toolbar.addEventListener('change', (e) => {
+        const select = e.target.closest('select[name]');
+        if (!select) return;
+
+        // A new sort starts in its own default order
+        setLibraryFilters(select.name === 'sort'
+            ? {sort: select.value, order: ''}
+            : {[select.name]: select.value});
+    });
+
+    toolbar.querySelector('.sort-order').addEventListener('click', (e) => {
+        setLibraryFilters({order: e.currentTarget.dataset.order === 'asc' ? 'desc' : 'asc'});
+    });
+
+    toolbar.querySelector('.clear-filters').addEventListener('click', () => {
+        setLibraryFilters({source: '', runner: '', status: '', tag: '', collection: '', q: ''});
+    });
+
+    updateTagOptions();
+    syncFilterControls();
+}
+
+// Show the games that pass the filters, in the chosen order
+function renderLibrary() {
+    syncFilterControls();
+
     if (!gamesContainer) return;
 
-    if (!games || games.length === 0) {
-        gamesContainer.innerHTML = `
+    if (libraryGames.length === 0) {
+        showGridMessage(`
             <div class="empty-state">
                 <i class="fas fa-gamepad"></i>
                 <p>No games found. Add some game directories in settings.</p>
             </div>
-        `;
+        `);
         return;
     }
 
-    gamesContainer.innerHTML = '';
-
-    games.forEach(game => {
-        const gameCard = document.createElement('div');
-        gameCard.className = 'game-card';
-        gameCard.setAttribute('data-id', game.id);
-        if (game.path) {
-            gameCard.setAttribute('data-path', game.path);
-            // Add data attribute for Steam games
-            if (game.path.toLowerCase().includes('steamapps/common/')) {
-                gameCard.setAttribute('data-steam-game', 'true');
-            }
-        }
-
-        // Prepare game data with defaults
-        const gameTitle = game.name || 'Untitled Game';
-        const gameImage = game.icon || 'default-game-image.jpg';
-
-        // Check if it's a Steam game (either from path or from server-provided info)
-        const isSteamGame = (game.path && game.path.toLowerCase().includes('steamapps/common/')) || game.type === 'steam';
-        const steamAppId = game.appId || (game.path && game.path.match(/app_manifest_(\d+)\.acf$/i)?.[1]);
-
-        // Create the game card HTML with full cover image and play button overlay
-        gameCard.innerHTML = `
-            <div class="game-cover">
-                <img src="${gameImage}" alt="${escapeHtml(gameTitle)}" 
-                    title="${escapeHtml(gameTitle)}" />
-                ${isSteamGame ? `<div class="steam-badge" ${steamAppId ? `data-steam-appid="${steamAppId}"` : ''}>
-                    <i class="fab fa-steam"></i> Steam
-                </div>` : ''}
-                <div class="game-overlay">
-                    <button class="play-button" data-id="${game.id}" title="Play ${escapeHtml(gameTitle)}">
-                        <i class="fas fa-play"></i> Play
-                    </button>
-                </div>
-            </div>`;
+    const visible = sortGames(libraryGames.filter(game => matchesFilters(game, libraryFilters)), libraryFilters);
+    if (visible.length === 0) {
+        showGridMessage(`
+            <div class="empty-state">
+                <i class="fas fa-filter"></i>
+                <p>No games match these filters.</p>
+            </div>
+        `);
+        return;
+    }
 
-        gamesContainer.appendChild(gameCard);
-    });
+    setGridGames(visible);
+}
 
-    // Add event listeners to play buttons
-    document.querySelectorAll('.play-button').forEach(button => {
-        button.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const gameId = button.getAttribute('data-id');
-            if (gameId && window.launchGame) {
-                window.launchGame(gameId);
-            }
-        });
+// Library events come in bursts during scans, the grid is drawn once per frame
+let renderScheduled = false;
+function scheduleRender() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    requestAnimationFrame(() => {
+        renderScheduled = false;
+        renderLibrary();
     });
+}
 
-    // Game cards now only launch games on play button click
-
-// Add launchGame function to the window object
-    window.launchGame = async (gameId) => {
-        try {
-            console.log('Attempting to launch game with ID:', gameId);
-
-            // Find the game card in the DOM using the gameId
-            const gameCard = document.querySelector(`.game-card[data-id="${gameId}"]`);
+// Render games in the UI
+export function renderGames(games) {
+    libraryGames = [...(games || [])];
+    updateTagOptions();
+    renderLibrary();
+}
 
-            if (!gameCard) {
-                console.error('Could not find game card with ID:', gameId);
-            }
+// Replace the card of a single game, or add it if the game is new
+export function updateGameCard(game) {
+    const index = libraryGames.findIndex(g => g.id === game.id);
+    if (index >= 0) {
+        libraryGames[index] = game;
+    } else {
+        libraryGames.push(game);
+    }
 
-            // Get the game path from the data attribute
-            const gamePath = gameCard.dataset.path;
+    // The grid draws a new card for the changed game only, with the next frame
+    updateTagOptions();
+    scheduleRender();
+}
 
-            if (!gamePath) {
-                console.error('Game card does not have a path attribute:', gameCard);
-            }
+// Remove the card of a game that is no longer in the library
+export function removeGameCard(gameId) {
+    libraryGames = libraryGames.filter(game => game.id !== gameId);
+    scheduleRender();
+}
 
-            console.log('Found game with path:', gamePath);
+// One handler for the clicks on every card, cards come and go as the grid scrolls
+function handleGridClick(e) {
+    const card = e.target.closest('.game-card');
+    const game = card && libraryGames.find(g => g.id === card.dataset.id);
+    if (!game) return;
+
+    const button = e.target.closest('button');
+    if (button?.disabled) return;
+
+    if (!button) {
+        // The rest of the card opens the game's detail page
+        showPage(`game/${encodeURIComponent(game.id)}`);
+    } else if (button.classList.contains('play-button')) {
+        // Games with several targets ask which one to start, a running game is stopped right away
+        if (!button.classList.contains('playing') && gameTargets(game).length > 1) {
+            openTargetMenu(button, game, targetId => window.launchGame?.(game.id, undefined, targetId));
+        } else {
+            window.launchGame?.(game.id);
+        }
+    } else if (button.classList.contains('play-menu-button')) {
+        // Pick another launch profile than the default one
+        openProfileMenu(button, game, profileId => window.launchGame?.(game.id, profileId));
+    } else if (button.classList.contains('favorite-button')) {
+        window.toggleFavorite?.(game.id);
+    } else if (button.classList.contains('edit-button')) {
+        window.editGame?.(game.id);
+    } else if (button.classList.contains('launch-options-button')) {
+        window.editLaunchProfiles?.(game.id);
+    }
+}
 
-            // Get the game name from the alt text of the image or the card
-            const gameName = gameCard.querySelector('img')?.alt || 'the game';
-            console.log('Launching game:', gameName, 'at path:', gamePath);
+// Build the card for a single game
+function createGameCard(game) {
+    const gameCard = document.createElement('div');
+    gameCard.className = game.missing ? 'game-card missing' : 'game-card';
+    gameCard.setAttribute('data-id', game.id);
+    if (game.path) {
+        gameCard.setAttribute('data-path', game.path);
+        // Add data attribute for Steam games
+        if (game.path.toLowerCase().includes('steamapps/common/')) {
+            gameCard.setAttribute('data-steam-game', 'true');
+        }
+    }
 
-            // Show loading state
-            const playButton = gameCard.querySelector('.play-button');
-            if (!playButton) {
-                console.error('Could not find play button for game card:', gameCard);
-            }
+    // Prepare game data with defaults
+    const gameTitle = game.name || 'Untitled Game';
+    const gameImage = game.icon || 'default-game-image.jpg';
+
+    // Check if it's a Steam game (either from path or from server-provided info)
+    const isSteamGame = (game.path && game.path.toLowerCase().includes('steamapps/common/')) || game.source === 'steam';
+    const steamAppId = game.appId || (game.path && game.path.match(/app_manifest_(\d+)\.acf$/i)?.[1]);
+
+    // Create the game card HTML with full cover image and play button overlay
+    gameCard.innerHTML = `
+        <div class="game-cover">
+            <img src="${escapeHtml(gameImage)}" alt="${escapeHtml(gameTitle)}"
+                title="${escapeHtml(gameTitle)}" loading="lazy" decoding="async" />
+            <button class="favorite-button ${game.favorite ? 'active' : ''}" title="${game.favorite ? 'Remove from favorites' : 'Add to favorites'}">
+                <i class="${game.favorite ? 'fas' : 'far'} fa-star"></i>
+            </button>
+            ${isSteamGame ? `<div class="steam-badge" ${steamAppId ? `data-steam-appid="${steamAppId}"` : ''}>
+                <i class="fab fa-steam"></i> ${game.installState && game.installState !== 'installed' ? escapeHtml(game.installState) : 'Steam'}
+            </div>` : ''}
+            <div class="game-overlay">
+                ${game.lastPlayed || game.playtime ? `<div class="game-stats" title="${game.sessionCount || 0} play sessions">
+                    <span><i class="fas fa-clock"></i> ${formatPlaytime(game.playtime)}</span>
+                    <span>${formatRelativeTime(game.lastPlayed)}</span>
+                </div>` : ''}
+                <div class="play-group">
+                    <button class="edit-button" title="Edit details">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="launch-options-button" title="Launch options" ${game.missing ? 'disabled' : ''}>
+                        <i class="fas fa-sliders-h"></i>
+                    </button>
+                    <button class="play-button" data-id="${game.id}" title="Play ${escapeHtml(gameTitle)}" ${game.missing ? 'disabled' : ''}>
+                        <i class="fas fa-play"></i> Play
+                    </button>
+                    ${game.launchProfiles?.length > 1 ? `<button class="play-menu-button" title="Play with profile" ${game.missing ? 'disabled' : ''}>
+                        <i class="fas fa-caret-down"></i>
+                    </button>` : ''}
+                </div>
+            </div>
+        </div>`;
 
-            playButton.disabled = true;
-            playButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Launching...';
+    // Clicks are handled by the grid, see handleGridClick
+    const playState = playStates.get(game.id);
+    if (playState) {
+        applyPlayState(gameCard.querySelector('.play-button'), playState);
+    }
 
-            try {
-                // Call the backend to launch the game
-                const response = await fetch('/api/games/launch', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({gamePath})
-                });
+    return gameCard;
+}
 
-                const result = await response.json();
+const PLAY_STATES = {
+    idle: {html: '<i class="fas fa-play"></i> Play', disabled: false},
+    launching: {html: '<i class="fas fa-spinner fa-spin"></i> Launching...', disabled: true},
+    running: {html: '<i class="fas fa-stop"></i> Stop', disabled: false},
+    stopping: {html: '<i class="fas fa-spinner fa-spin"></i> Stopping...', disabled: true}
+};
+
+// Show a launch state on one play button
+function applyPlayState(playButton, state) {
+    const {html, disabled} = PLAY_STATES[state] || PLAY_STATES.idle;
+    playButton.innerHTML = html;
+    playButton.disabled = disabled;
+    playButton.classList.toggle('playing', state === 'running');
+}
 
-                if (!result.success) {
-                    console.error('Failed to launch game:', result.error);
-                }
-                console.log('Game launched successfully');
+// Update a play button to show the launch state of its game
+export function setPlayButtonState(gameId, state) {
+    // Cards drawn later pick the state up from here
+    if (state === 'idle') {
+        playStates.delete(gameId);
+    } else {
+        playStates.set(gameId, state);
+    }
 
-                // Try to update last played time if the games module is available
-                try {
-                    const gamesModule = await import('./games.js');
-                    if (gamesModule.launchGame) {
-                        gamesModule.launchGame(gameId);
-                    }
-                } catch (e) {
-                    console.log('Could not update last played time:', e.message);
-                }
-            } catch (error) {
-                console.error('Failed to launch game:', error);
-                alert(`Failed to launch game: ${error.message}`);
-            } finally {
-                // Reset button state
-                if (playButton) {
-                    playButton.disabled = false;
-                    playButton.innerHTML = '<i class="fas fa-play"></i> Play';
-                }
-            }
-        } catch (error) {
-            console.error('Error in launchGame:', error);
-            alert(`Error: ${error.message}`);
-        }
-    };
+    // The card and the detail page each have one
+    document.querySelectorAll(`.play-button[data-id="${gameId}"]`).forEach(playButton => applyPlayState(playButton, state));
 }
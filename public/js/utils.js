@@ -10,6 +10,43 @@ export function escapeHtml(unsafe) {
         .replace(/'/g, "&#039;");
 }
 
+// Format a duration in seconds as "2h 15m"
+export function formatPlaytime(seconds) {
+    if (!seconds) return '0m';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (hours === 0) return minutes > 0 ? `${minutes}m` : '<1m';
+    return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+}
+
+// Format a size in bytes as "1.5 GB"
+export function formatSize(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / 1024 ** exponent;
+    return `${value >= 10 || exponent === 0 ? Math.round(value) : value.toFixed(1)} ${units[exponent]}`;
+}
+
+// Format an ISO date relative to now, e.g. "3 days ago"
+export function formatRelativeTime(isoDate) {
+    if (!isoDate) return 'Never';
+    const seconds = Math.round((Date.now() - new Date(isoDate).getTime()) / 1000);
+    const units = [
+        ['year', 365 * 24 * 3600],
+        ['month', 30 * 24 * 3600],
+        ['day', 24 * 3600],
+        ['hour', 3600],
+        ['minute', 60]
+    ];
+
+    for (const [unit, size] of units) {
+        const value = Math.floor(seconds / size);
+        if (value >= 1) return `${value} ${unit}${value > 1 ? 's' : ''} ago`;
+    }
+    return 'Just now';
+}
+
 export function showNotification(message, type = 'info', duration = 3000) {
     const notification = document.createElement('div');
     notification.className = `notification ${type}`;
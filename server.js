@@ -1,17 +1,28 @@
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import morgan from 'morgan';
 import {fileURLToPath} from 'url';
-import {dirname, join, resolve} from 'path';
-import {readFile, readdir, access, constants} from 'fs/promises';
-import fs from 'fs/promises';
+import {dirname, join} from 'path';
 import path from 'path';
-import dotenv from 'dotenv';
-import SGDB from "steamgriddb";
-import {exec} from 'child_process';
-import {promisify} from 'util';
-
-dotenv.config();
+import {readConfig, writeConfig} from './server/config.js';
+import {validateDirectory, directorySize} from './server/scanner.js';
+import {getGames, getGame, updateGame, setGameOverrides, setGameFavorite, rescanLibrary, rescanGame, getScanStatus, libraryEvents, totalPlaytime} from './server/library.js';
+import {stopGame, getRunningGames} from './server/processes.js';
+import {initPlaytimeTracking} from './server/playtime.js';
+import {handleEventStream, broadcast} from './server/events.js';
+import {syncWatchers} from './server/watcher.js';
+import {LaunchProfileError, normalizeProfiles, resolveProfile} from './server/profiles.js';
+import {findRunners, checkWinePrefix, WinePrefixError} from './server/runners.js';
+import {OverrideError, mergeOverrides} from './server/overrides.js';
+import {launchGame, describeLaunch, openGameFolder} from './server/launcher.js';
+import {findExecutableCandidates} from './server/executables.js';
+import {LaunchTargetError, listTargets, normalizeTargets} from './server/targets.js';
+import {gameCollections, launchKind, listCollections} from './server/collections.js';
+import {AuthError, initAuth, isAuthEnabled, setPassword, disableAuth, createAccessToken, login, logout, getSession, sessionCookie, requireAuth} from './server/auth.js';
+import {ARTWORK_TYPES, cacheArtwork, getArtworkFile, invalidateArtwork} from './server/artwork.js';
+import {findGameAsset} from './server/assets.js';
+import {ARTWORK_KINDS, ARTWORK_PAGE_SIZE, isSteamGridDBConfigured, searchGameOnSteamGridDB, searchSteamGridDBGames, getSteamGridDBGame, getGameCover, listSteamGridDBArtwork} from './server/steamgriddb.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,645 +30,724 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configure SteamGridDB API
-const STEAMGRID_API_KEY = process.env.STEAMGRID;
-const client = new SGDB(STEAMGRID_API_KEY);
+// Middleware
+// Other sites may only call the API when their origin is listed in corsOrigins
+app.use(cors({
+    origin: (origin, callback) => {
+        readConfig().then(config => {
+            const origins = Array.isArray(config.corsOrigins) ? config.corsOrigins : [];
+            callback(null, origins.includes('*') || origins.includes(origin));
+        }, callback);
+    },
+    credentials: true
+}));
+app.use(express.json());
+app.use(morgan('dev'));
+app.use(express.static('public'));
 
-// Cache for storing game assets
-const gameAssetCache = new Map();
+// Login endpoints, reachable without a session
+app.get('/api/auth/status', async (req, res) => {
+    try {
+        const enabled = await isAuthEnabled();
+        const session = getSession(req);
+        res.json({
+            enabled,
+            authenticated: !enabled || Boolean(session),
+            csrfToken: session?.csrfToken || null
+        });
+    } catch (error) {
+        console.error('Error reading login status:', error);
+        res.status(500).json({error: 'Failed to read login status', details: error.message});
+    }
+});
 
-/**
- * Search for a game on SteamGridDB
- * @param {string} gameName - Name of the game to search for
- * @returns {Promise<Object|null>} - Game data or null if not found
- */
-async function searchGameOnSteamGridDB(gameName) {
+app.post('/api/auth/login', async (req, res) => {
     try {
-        const games = await client.searchGame(gameName);
-        return games && games.length > 0 ? games[0] : null;
+        const session = await login(req.body?.password, req.ip);
+        res.setHeader('Set-Cookie', sessionCookie(req, session));
+        res.json({success: true, csrfToken: session.csrfToken});
     } catch (error) {
-        console.error('Error searching SteamGridDB:', error.message);
-        return null;
+        if (error instanceof AuthError) {
+            return res.status(error.status).json({success: false, error: error.message});
+        }
+        console.error('Error logging in:', error);
+        res.status(500).json({success: false, error: 'Failed to log in', details: error.message});
     }
-}
+});
 
-/**
- * Get game cover from SteamGridDB
- * @param {string} gameId - SteamGridDB game ID
- * @returns {Promise<string|null>} - URL of the game cover or null if not found
- */
-async function getGameCover(gameId) {
-    const cacheKey = `cover-${gameId}`;
-    if (gameAssetCache.has(cacheKey)) {
-        return gameAssetCache.get(cacheKey);
+app.post('/api/auth/logout', (req, res) => {
+    const session = getSession(req);
+    if (session) {
+        logout(session.id);
     }
+    res.setHeader('Set-Cookie', sessionCookie(req, null));
+    res.json({success: true});
+});
+
+// Everything below needs a session or the access token once a password is set
+app.use(['/api', '/games'], requireAuth);
 
+// Set or change the password, the current browser stays logged in
+app.put('/api/auth/password', async (req, res) => {
     try {
-        // First try to get 2:3 aspect ratio grids (600x900 is 2:3)
-        const grids = await client.getGridsById(gameId, {
-            dimensions: ['600x900'],
-            types: ['static'],
-            styles: ['alternate', 'blurred', 'material', 'no_logo']
-        });
+        await setPassword(req.body?.password);
+        const session = await login(req.body.password, req.ip);
+        res.setHeader('Set-Cookie', sessionCookie(req, session));
+        res.json({success: true, csrfToken: session.csrfToken});
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(error.status).json({success: false, error: error.message});
+        }
+        console.error('Error setting password:', error);
+        res.status(500).json({success: false, error: 'Failed to set password', details: error.message});
+    }
+});
 
-        // Filter for 2:3 aspect ratio (within a small tolerance)
-        const filteredGrids = grids ? grids.filter(grid => {
-            if (!grid.width || !grid.height) return false;
-            const aspectRatio = grid.width / grid.height;
-            // Check if aspect ratio is approximately 2:3 (0.666...)
-            return Math.abs(aspectRatio - (2 / 3)) < 0.1; // 10% tolerance
-        }) : [];
+app.delete('/api/auth/password', async (req, res) => {
+    try {
+        await disableAuth();
+        res.setHeader('Set-Cookie', sessionCookie(req, null));
+        res.json({success: true});
+    } catch (error) {
+        console.error('Error disabling login:', error);
+        res.status(500).json({success: false, error: 'Failed to disable login', details: error.message});
+    }
+});
 
-        if (filteredGrids.length > 0) {
-            // Sort by resolution (area) in descending order
-            const sortedByResolution = [...filteredGrids].sort((a, b) =>
-                (b.width * b.height) - (a.width * a.height)
-            );
+// New access token for scripts, shown only in this response
+app.post('/api/auth/token', async (req, res) => {
+    try {
+        res.json({success: true, token: await createAccessToken()});
+    } catch (error) {
+        console.error('Error creating access token:', error);
+        res.status(500).json({success: false, error: 'Failed to create access token', details: error.message});
+    }
+});
 
-            const coverUrl = sortedByResolution[0].url;
-            gameAssetCache.set(cacheKey, coverUrl);
-            return coverUrl;
+// Serve images and media that ship inside game folders
+app.get('/games/:gameDir/:filename', async (req, res) => {
+    try {
+        // Express already decoded the parameters, they are not decoded again
+        const asset = await findGameAsset(req.params.gameDir, req.params.filename);
+        if (!asset) {
+            return res.status(404).send('File not found');
         }
 
-        // If no 2:3 grids found, return null
-        console.log(`No 2:3 aspect ratio grid found for game ID: ${gameId}`);
-        return null;
+        res.type(asset.type);
+        res.sendFile(asset.file, {
+            maxAge: '1d',
+            headers: {'X-Content-Type-Options': 'nosniff'}
+        }, (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).send('File not found');
+            }
+        });
     } catch (error) {
-        console.error('Error fetching game cover:', error.message);
-        return null;
+        console.error('Error serving game asset:', error);
+        res.status(500).send('Error serving file');
     }
-}
+});
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(morgan('dev'));
-app.use(express.static('public'));
+// API Endpoints
+// Validate directory endpoint
+app.post('/api/validate-directory', express.json(), async (req, res) => {
+    try {
+        const {path: dirPath} = req.body;
 
-// Default config
-const defaultConfig = {
-    version: 1,
-    directories: [
-        "/home/salmon/Games",
-        "/home/salmon/.local/share/Steam/steamapps/common"
-    ],
-    cardSize: "medium"
-};
+        if (!dirPath) {
+            return res.status(400).json({valid: false, error: 'Path is required'});
+        }
 
-// Config file path
-const CONFIG_FILE = join(__dirname, 'config.json');
+        const result = await validateDirectory(dirPath);
+        res.json(result);
+    } catch (error) {
+        console.error('Error validating directory:', error);
+        res.status(500).json({valid: false, error: 'Internal server error'});
+    }
+});
 
-// Helper function to check if config file exists
-async function configExists() {
+app.get('/api/config', async (req, res) => {
     try {
-        await fs.access(CONFIG_FILE);
-        return true;
+        const config = await readConfig();
+        res.json(config);
     } catch (error) {
-        return false;
+        console.error('Error reading config:', error);
+        res.status(500).json({error: 'Failed to read config'});
     }
-}
+});
 
-// Helper function to read config
-async function readConfig() {
-    // Check if config file exists
-    const exists = await configExists();
-    if (!exists) {
-        console.log('Config file not found, creating with default settings...');
-        // Create the directory if it doesn't exist
-        await fs.mkdir(path.dirname(CONFIG_FILE), {recursive: true});
-        // Write default config
-        await fs.writeFile(CONFIG_FILE, JSON.stringify(defaultConfig, null, 2) + '\n', 'utf-8');
-        return {...defaultConfig};
+app.post('/api/config', async (req, res) => {
+    try {
+        console.log('Received config update:', JSON.stringify(req.body, null, 2));
+        const updatedConfig = await writeConfig(req.body);
+        await syncWatchers();
+        res.json({success: true, config: updatedConfig});
+    } catch (error) {
+        console.error('Error saving config:', error);
+        res.status(500).json({
+            error: 'Failed to save config',
+            details: error.message
+        });
     }
+});
 
+// Launch game endpoint
+app.post('/api/games/launch', express.json(), async (req, res) => {
     try {
-        // Read and parse the config file
-        const data = await fs.readFile(CONFIG_FILE, 'utf-8');
-        const config = JSON.parse(data);
-
-        // Ensure all required fields exist
-        const mergedConfig = {...defaultConfig, ...config};
-
-        // If we had to merge in defaults, update the config file
-        if (JSON.stringify(mergedConfig) !== JSON.stringify(config)) {
-            console.log('Upgrading config with new defaults...');
-            await fs.writeFile(CONFIG_FILE, JSON.stringify(mergedConfig, null, 2) + '\n', 'utf-8');
+        // The executable is looked up in the library, a path sent by the client is never run
+        const {gameId, profileId, targetId} = req.body;
+        if (!gameId) {
+            return res.status(400).json({success: false, error: 'Game ID is required'});
+        }
+        if (!await getGame(gameId)) {
+            return res.status(404).json({success: false, error: 'Game not found'});
         }
 
-        return mergedConfig;
-    } catch (error) {
-        console.error('Error reading config:', error);
-        // Return defaults without saving to avoid loops
-        return {...defaultConfig};
-    }
-}
+        const result = await launchGame(gameId, profileId, targetId);
 
-// Helper function to write config
-async function writeConfig(newConfig) {
-    try {
-        // Ensure the directory exists
-        await fs.mkdir(path.dirname(CONFIG_FILE), {recursive: true});
-
-        // If we're writing a partial config, merge with existing config if it exists
-        let mergedConfig;
-        const exists = await configExists();
-
-        if (exists) {
-            try {
-                const currentConfig = JSON.parse(await fs.readFile(CONFIG_FILE, 'utf-8'));
-                mergedConfig = {...defaultConfig, ...currentConfig, ...newConfig};
-
-                // Preserve all non-array config properties that aren't being updated
-                Object.keys(currentConfig).forEach(key => {
-                    // Preserve existing values if they're not being updated and aren't arrays
-                    if (!(key in newConfig) && !Array.isArray(currentConfig[key])) {
-                        mergedConfig[key] = currentConfig[key];
-                    }
-
-                    // Special handling for arrays - only preserve if not being updated
-                    if (Array.isArray(currentConfig[key]) && !(key in newConfig)) {
-                        mergedConfig[key] = currentConfig[key];
-                    }
-                });
-            } catch (error) {
-                console.error('Error reading existing config for merge:', error);
-                // If we can't read the current config, use defaults with new values
-                mergedConfig = {...defaultConfig, ...newConfig};
+        // Remember when the game was last played, and with which target for the Play menu
+        if (result.success) {
+            const changes = {lastPlayed: new Date().toISOString()};
+            if (result.target) {
+                changes.lastTarget = result.target;
             }
-        } else {
-            // No existing config, just merge defaults with new values
-            mergedConfig = {...defaultConfig, ...newConfig};
+            await updateGame(gameId, changes);
         }
 
-        // Ensure version is always set to current
-        mergedConfig.version = defaultConfig.version;
-
-        // Write the config file with pretty printing
-        const configStr = JSON.stringify(mergedConfig, null, 2) + '\n'; // Add newline at end
-        await fs.writeFile(CONFIG_FILE, configStr, 'utf-8');
-
-        console.log('Config saved successfully to', CONFIG_FILE);
-        return mergedConfig;
+        res.json(result);
     } catch (error) {
-        console.error('Error writing config:', error);
-        throw new Error(`Failed to save configuration: ${error.message}`);
+        console.error('Error launching game:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            details: error.message
+        });
     }
-}
-
-// Steam related functions
-async function findSteamLibraries() {
-    const homeDir = process.env.HOME || process.env.USERPROFILE;
-    const steamPaths = [
-        join(homeDir, '.local/share/Steam'),
-        join(homeDir, '.steam/steam'),
-        join(homeDir, 'Library/Application Support/Steam'),
-        'C:\\Program Files (x86)\\Steam',
-        'C:\\Program Files\\Steam'
-    ];
+});
 
-    const validPaths = [];
+// Installed Wine and Proton versions
+app.get('/api/runners', async (req, res) => {
+    try {
+        res.json(await findRunners());
+    } catch (error) {
+        console.error('Error finding runners:', error);
+        res.status(500).json({error: 'Failed to find runners', details: error.message});
+    }
+});
 
-    for (const path of steamPaths) {
-        await access(path, constants.F_OK);
-        validPaths.push(path);
+// Running games endpoints
+app.get('/api/running', (req, res) => {
+    res.json(getRunningGames());
+});
 
+app.post('/api/games/:id/stop', async (req, res) => {
+    try {
+        const stopped = await stopGame(req.params.id);
+        if (!stopped) {
+            return res.status(404).json({success: false, error: 'Game is not running'});
+        }
+        res.json({success: true});
+    } catch (error) {
+        console.error('Error stopping game:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stop game',
+            details: error.message
+        });
     }
+});
 
-    return validPaths;
-}
-
-async function findSteamAppManifests(steamPath) {
-    const manifestsPath = join(steamPath, 'steamapps');
-    const files = await readdir(manifestsPath, {withFileTypes: true});
-    return files
-        .filter(file => file.isFile() && file.name.startsWith('appmanifest_') && file.name.endsWith('.acf'))
-        .map(file => join(manifestsPath, file.name));
+// Library endpoints
+
+// Session lists can get long, they are served per game
+function toListEntry({sessions, ...game}) {
+    return {
+        ...game,
+        playtime: totalPlaytime(game),
+        sessionCount: sessions?.length || 0,
+        launchKind: launchKind(game),
+        collections: gameCollections(game)
+    };
 }
 
-async function parseAppManifest(manifestPath) {
+app.get('/api/games', async (req, res) => {
     try {
-        const content = await readFile(manifestPath, 'utf8');
-        const appId = content.match(/"appid"\s*"(\d+)"/)?.[1];
-        const name = content.match(/"name"\s*"([^"]+)"/)?.[1];
-        const installDir = content.match(/"installdir"\s*"([^"]+)"/)?.[1];
-
-        if (!appId || !name || !installDir) return null;
-
-        return {
-            appId,
-            name,
-            installDir,
-            manifestPath,
-            installPath: join(dirname(manifestPath), 'common', installDir)
-        };
-    } catch (err) {
-        console.error(`Error parsing manifest ${manifestPath}:`, err);
-        return null;
+        const games = await getGames();
+        res.json(games.map(toListEntry));
+    } catch (error) {
+        console.error('Error in /api/games:', error);
+        res.status(500).json({
+            error: 'Failed to load library',
+            details: error.message,
+            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
     }
-}
-
-async function findSteamGameByPath(gamePath) {
-    const steamPaths = await findSteamLibraries();
-
-    for (const steamPath of steamPaths) {
-        try {
-            const manifests = await findSteamAppManifests(steamPath);
+});
 
-            for (const manifestPath of manifests) {
-                const gameInfo = await parseAppManifest(manifestPath);
-                if (!gameInfo) continue;
+// Auto collections and tags with their game counts, for the sidebar
+app.get('/api/collections', async (req, res) => {
+    try {
+        res.json(listCollections(await getGames()));
+    } catch (error) {
+        console.error('Error listing collections:', error);
+        res.status(500).json({error: 'Failed to list collections', details: error.message});
+    }
+});
 
-                // Check if the game path matches the install path or is inside it
-                const normalizedGamePath = resolve(gamePath);
-                const normalizedInstallPath = resolve(gameInfo.installPath);
+app.put('/api/games/:id/favorite', async (req, res) => {
+    try {
+        const favorite = req.body?.favorite;
+        if (typeof favorite !== 'boolean') {
+            return res.status(400).json({success: false, error: 'favorite must be true or false'});
+        }
 
-                if (normalizedGamePath.startsWith(normalizedInstallPath)) {
-                    return gameInfo;
-                }
-            }
-        } catch (err) {
-            console.error(`Error processing Steam library at ${steamPath}:`, err);
+        const game = await setGameFavorite(req.params.id, favorite);
+        if (!game) {
+            return res.status(404).json({success: false, error: 'Game not found'});
         }
+        res.json({success: true, game: toListEntry(game)});
+    } catch (error) {
+        console.error('Error saving favorite:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save favorite',
+            details: error.message
+        });
     }
+});
 
-    return null;
-}
+app.get('/api/games/scan', (req, res) => {
+    res.json(getScanStatus());
+});
 
-// Check if file is an executable
-function isExecutable(filename) {
-    const execExts = ['.exe', '.bin', '.x86_64', '.x86', '.sh', '.AppImage'];
-    const ext = path.extname(filename);
-    return execExts.includes(ext);
-}
+// Start a rescan; concurrent requests share the scan already in progress
+app.post('/api/games/scan', async (req, res) => {
+    try {
+        const summary = await rescanLibrary({force: req.body?.force === true});
+        res.json({success: true, ...summary});
+    } catch (error) {
+        console.error('Error scanning library:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to scan for games',
+            details: error.message
+        });
+    }
+});
 
-// Scan a directory for games
-async function scanDirectory(dirPath) {
+app.get('/api/games/:id', async (req, res) => {
     try {
-        // Validate directory before scanning
-        const validation = await validateDirectory(dirPath);
-        if (!validation.valid) {
-            console.error(`Cannot scan directory ${dirPath}: ${validation.error}`);
-            return [];
+        const game = await getGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({error: 'Game not found'});
         }
+        res.json(game);
+    } catch (error) {
+        console.error('Error loading game:', error);
+        res.status(500).json({error: 'Failed to load game', details: error.message});
+    }
+});
 
-        const entries = await fs.readdir(dirPath, {withFileTypes: true});
-        const games = [];
-
-        for (const entry of entries) {
-            if (!entry.isDirectory()) continue;
-
-            const gameDir = path.join(dirPath, entry.name);
-            let gameFiles = [];
-
-            try {
-                gameFiles = (await fs.readdir(gameDir)).map(f => f);
-            } catch (err) {
-                console.error(`Error reading game directory ${gameDir}:`, err);
-                continue;
-            }
-
-            // Find main executable
-            const mainExecutable = findMainExecutable(gameFiles, entry.name);
-            if (!mainExecutable) continue;
-
-            const gameName = formatGameName(entry.name);
-            const gamePath = path.join(gameDir, mainExecutable);
-
-            // Create base game object
-            const game = {
-                id: `${entry.name}-${Date.now()}`.toLowerCase().replace(/[^a-z0-9-]/g, '-'),
-                name: gameName,
-                path: gamePath,
-                icon: '',
-                description: '',
-                lastPlayed: null,
-                added: new Date().toISOString(),
-                directory: entry.name
-            };
-
-            // Try to find game on SteamGridDB
-            try {
-                const steamGame = await searchGameOnSteamGridDB(gameName);
-                if (steamGame) {
-                    game.name = steamGame.name || gameName; // Use the name from SteamGridDB if available
-
-                    // Get game cover
-                    const coverUrl = await getGameCover(steamGame.id);
-                    if (coverUrl) {
-                        game.icon = coverUrl;
-                    }
-                }
-            } catch (error) {
-                console.error(`Error fetching data from SteamGridDB for ${gameName}:`, error.message);
-            }
-
-            // If still no description, try to read from local files
-            if (!game.description) {
-                const metadataFiles = {
-                    'description.txt': (content) => content.trim(),
-                    'about.txt': (content) => content.trim(),
-                    'readme.txt': (content) => content.split('\n')[0].trim()
-                };
-
-                for (const [file, processor] of Object.entries(metadataFiles)) {
-                    if (gameFiles.includes(file)) {
-                        try {
-                            const content = await fs.readFile(path.join(gameDir, file), 'utf-8');
-                            game.description = processor(content).substring(0, 200);
-                            break;
-                        } catch (err) {
-                            console.error(`Error reading ${file} for ${gameName}:`, err);
-                        }
-                    }
-                }
-            }
-
-            games.push(game);
+// How a game launches and how much space it takes, for its detail page
+app.get('/api/games/:id/details', async (req, res) => {
+    try {
+        const game = await getGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({error: 'Game not found'});
         }
 
-        return games;
+        const [launch, size] = await Promise.all([
+            describeLaunch(game),
+            game.sizeOnDisk ? Number(game.sizeOnDisk) : game.missing ? null : directorySize(game.installPath)
+        ]);
+        res.json({launch, size});
     } catch (error) {
-        console.error(`Error scanning directory ${dirPath}:`, error);
-        return [];
+        console.error('Error loading game details:', error);
+        res.status(500).json({error: 'Failed to load game details', details: error.message});
     }
-}
-
-// Find main executable in game directory
-function findMainExecutable(files, dirName) {
-    const dirNameLower = dirName.toLowerCase();
+});
 
-    // First pass: look for exact or close matches
-    const possibleExecutables = files.filter(file => {
-        const fileName = file.toLowerCase();
-        return isExecutable(file) &&
-            (fileName.startsWith(dirNameLower) ||
-                fileName.includes(dirNameLower) ||
-                dirNameLower.includes(fileName.split('.')[0].toLowerCase()));
-    });
+// Executables of a game folder ranked best first, for picking one by hand
+app.get('/api/games/:id/executables', async (req, res) => {
+    try {
+        const game = await getGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({error: 'Game not found'});
+        }
+        if (game.source === 'steam') {
+            return res.status(400).json({error: 'Steam games launch through Steam'});
+        }
 
-    // If we found matches, return the first one
-    if (possibleExecutables.length > 0) {
-        return possibleExecutables[0];
+        const {candidates, confident} = game.missing
+            ? {candidates: [], confident: false}
+            : await findExecutableCandidates(game.installPath, game.directory);
+        res.json({
+            current: path.relative(game.installPath, game.path),
+            override: game.overrides?.executable || null,
+            confident,
+            // Past the first few, the candidates are helpers and installers
+            candidates: candidates.slice(0, 20)
+        });
+    } catch (error) {
+        console.error('Error listing executables:', error);
+        res.status(500).json({error: 'Failed to list executables', details: error.message});
     }
+});
 
-    // Second pass: look for any executable if no good match found
-    return files.find(isExecutable);
-}
-
-// Format game name for display
-function formatGameName(dirName) {
-    return dirName
-        .replace(/[_-]/g, ' ')
-        .replace(/\b\w/g, l => l.toUpperCase())
-        .trim();
-}
-
-
-const execAsync = promisify(exec);
-
-/**
- * Determine the type of game and launch it
- * @param {string} gamePath - Path to the game executable
- * @returns {Promise<{success: boolean, error?: string}>} - Result of the launch attempt
- */
-async function launchGame(gamePath) {
-    try {
-        // Check if it's a Steam game using our new detection
-        const steamGame = await findSteamGameByPath(gamePath);
-        if (steamGame) {
-            console.log(`Launching Steam game: ${steamGame.name} (AppID: ${steamGame.appId})`);
-            await execAsync(`xdg-open "steam://rungameid/${steamGame.appId}"`, {detached: true});
-            return {
-                success: true,
-                type: 'steam',
-                appId: steamGame.appId,
-                name: steamGame.name
-            };
-        }
-
-
-        // Check if file exists and is executable
-        try {
-            await fs.access(gamePath, fs.constants.X_OK);
-        } catch (error) {
-            // If not executable, try to make it executable
-            if (error.code === 'EACCES') {
-                await fs.chmod(gamePath, 0o755);
-            } else {
-                console.error('Error accessing game file:', error);
-                return {success: false, error: error.message};
-            }
+// Open the game folder in the file manager of the machine the server runs on
+app.post('/api/games/:id/open-folder', async (req, res) => {
+    try {
+        const game = await getGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({success: false, error: 'Game not found'});
         }
+        const result = await openGameFolder(game);
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        console.error('Error opening game folder:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to open game folder',
+            details: error.message
+        });
+    }
+});
 
-        // Get file type using file command
-        const {stdout: fileType} = await execAsync(`file -b "${gamePath}"`);
-
-        if (fileType.includes('ELF')) {
-            // Linux native game
-            await execAsync(`"${gamePath}"`, {detached: true});
-            return {success: true};
-        } else if (fileType.includes('PE32') || fileType.includes('PE32+')) {
-            // Windows executable - try with Wine
-            await execAsync(`wine "${gamePath}"`, {detached: true});
-            return {success: true};
-        } else if (gamePath.endsWith('.desktop')) {
-            // Linux desktop entry
-            await execAsync(`xdg-open "${gamePath}"`, {detached: true});
-            return {success: true};
-        } else {
-            // Try to execute directly as a last resort
-            await execAsync(`"${gamePath}"`, {detached: true});
-            return {success: true};
+// Rescan a single game, forcing its metadata to be looked up again
+app.post('/api/games/:id/rescan', async (req, res) => {
+    try {
+        const game = await rescanGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({success: false, error: 'Game not found'});
         }
+        res.json({success: true, game: toListEntry(game)});
     } catch (error) {
-        console.error('Error launching game:', error);
-        return {success: false, error: error.message};
+        console.error('Error rescanning game:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rescan game',
+            details: error.message
+        });
     }
-}
+});
 
-// Helper function to validate directory
-async function validateDirectory(dirPath) {
+// Edit name, description, cover, executable and tags; null resets a field to the detected value
+app.patch('/api/games/:id', async (req, res) => {
     try {
-        // Check if path is absolute
-        if (!path.isAbsolute(dirPath)) {
-            return {valid: false, error: 'Path must be absolute'};
+        const game = await getGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({success: false, error: 'Game not found'});
         }
 
-        // Check if directory exists and is accessible
-        try {
-            await fs.access(dirPath, fs.constants.R_OK | fs.constants.X_OK);
-            const stats = await fs.stat(dirPath);
-
-            if (!stats.isDirectory()) {
-                return {valid: false, error: 'Path is not a directory'};
-            }
-
-            return {valid: true};
-        } catch (err) {
-            if (err.code === 'ENOENT') {
-                return {valid: false, error: 'Directory does not exist'};
-            } else if (err.code === 'EACCES') {
-                return {valid: false, error: 'Permission denied'};
-            }
+        const overrides = await mergeOverrides(game, req.body);
+        const updated = await setGameOverrides(game.id, overrides);
+        res.json({success: true, game: toListEntry(updated)});
+    } catch (error) {
+        if (error instanceof OverrideError) {
+            return res.status(400).json({success: false, error: error.message});
+        }
+        console.error('Error saving game:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save game',
+            details: error.message
+        });
+    }
+});
 
-            console.error('Error accessing directory:', err);
-            return {valid: false, error: 'Error accessing directory'};
+// Games on SteamGridDB matching a name, to fix a wrong automatic match
+app.get('/api/steamgriddb/search', async (req, res) => {
+    try {
+        if (!isSteamGridDBConfigured()) {
+            return res.status(503).json({error: 'SteamGridDB is not configured'});
         }
+        const query = String(req.query.q || '').trim();
+        if (!query) {
+            return res.status(400).json({error: 'Search query is required'});
+        }
+        res.json({games: await searchSteamGridDBGames(query)});
     } catch (error) {
-        console.error('Error validating directory:', error);
-        return {valid: false, error: 'Error validating directory'};
+        console.error('Error searching SteamGridDB:', error);
+        res.status(500).json({error: 'Failed to search SteamGridDB', details: error.message});
     }
-}
+});
 
-// Serve game assets (icons, etc.)
-app.get('/games/:gameDir/:filename', async (req, res) => {
+// Match a game with another SteamGridDB entry, taking over its name and cover
+app.put('/api/games/:id/match', async (req, res) => {
     try {
-        const {gameDir, filename} = req.params;
-        const decodedGameDir = decodeURIComponent(gameDir);
+        const game = await getGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({success: false, error: 'Game not found'});
+        }
+        if (!isSteamGridDBConfigured()) {
+            return res.status(503).json({success: false, error: 'SteamGridDB is not configured'});
+        }
 
-        // Find which directory contains this game
-        const config = await readConfig();
-        const gameDirs = config.directories || [];
+        const sgdbId = req.body?.sgdbId;
+        if (!Number.isInteger(sgdbId) || sgdbId <= 0) {
+            return res.status(400).json({success: false, error: 'sgdbId must be a SteamGridDB game ID'});
+        }
 
-        for (const dir of gameDirs) {
-            const gamePath = path.join(dir, decodedGameDir);
-            try {
-                const filePath = path.join(gamePath, filename);
-                await fs.access(filePath);
-                return res.sendFile(filePath);
-            } catch (err) {
-                // File not found in this directory, continue to next
+        const sgdbGame = await getSteamGridDBGame(sgdbId);
+        const patch = {sgdbId};
 
-            }
+        // A name set by hand stays
+        if (!game.overrides?.name) {
+            patch.name = sgdbGame.name;
+        }
+        const cover = await getGameCover(sgdbId);
+        if (cover) {
+            patch.cover = cover;
         }
 
-        res.status(404).send('File not found');
+        const updated = await setGameOverrides(game.id, await mergeOverrides(game, patch));
+        res.json({success: true, game: toListEntry(updated)});
     } catch (error) {
-        console.error('Error serving game asset:', error);
-        res.status(500).send('Error serving file');
+        if (error instanceof OverrideError) {
+            return res.status(400).json({success: false, error: error.message});
+        }
+        console.error('Error matching game:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to match game',
+            details: error.response?.status === 404 ? 'Game not found on SteamGridDB' : error.message
+        });
     }
 });
 
-// API Endpoints
-// Validate directory endpoint
-app.post('/api/validate-directory', express.json(), async (req, res) => {
+// Artwork SteamGridDB has for a game, to pick another cover, hero, logo or icon
+app.get('/api/games/:id/artwork-candidates', async (req, res) => {
     try {
-        const {path: dirPath} = req.body;
+        const game = await getGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({error: 'Game not found'});
+        }
+        if (!isSteamGridDBConfigured()) {
+            return res.status(503).json({error: 'SteamGridDB is not configured'});
+        }
 
-        if (!dirPath) {
-            return res.status(400).json({valid: false, error: 'Path is required'});
+        const type = req.query.type || 'cover';
+        const kind = ARTWORK_KINDS[type];
+        if (!kind) {
+            return res.status(400).json({error: `Unknown artwork type ${type}`});
+        }
+        const style = req.query.style || undefined;
+        if (style && !kind.styles.includes(style)) {
+            return res.status(400).json({error: `Unknown ${type} style ${style}`});
         }
+        const page = Math.max(0, parseInt(req.query.page, 10) || 0);
+        const animated = req.query.animated === 'true' ? true : req.query.animated === 'false' ? false : undefined;
 
-        const result = await validateDirectory(dirPath);
-        res.json(result);
+        // Games scanned before matches were stored are looked up by name
+        const sgdbId = game.sgdbId || (await searchGameOnSteamGridDB(game.name))?.id;
+        if (!sgdbId) {
+            return res.json({sgdbId: null, type, page, styles: kind.styles, images: [], hasMore: false});
+        }
+
+        const images = await listSteamGridDBArtwork(sgdbId, type, {page, style, animated});
+        res.json({sgdbId, type, page, styles: kind.styles, images, hasMore: images.length >= ARTWORK_PAGE_SIZE});
     } catch (error) {
-        console.error('Error validating directory:', error);
-        res.status(500).json({valid: false, error: 'Internal server error'});
+        console.error('Error listing artwork:', error);
+        res.status(500).json({error: 'Failed to list artwork', details: error.message});
     }
 });
 
-app.get('/api/config', async (req, res) => {
+// Launch profiles of a game
+app.get('/api/games/:id/profiles', async (req, res) => {
     try {
-        const config = await readConfig();
-        res.json(config);
+        const game = await getGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({error: 'Game not found'});
+        }
+        const profile = resolveProfile(game);
+        res.json({
+            profiles: game.launchProfiles || [],
+            defaultProfile: profile.id
+        });
     } catch (error) {
-        console.error('Error reading config:', error);
-        res.status(500).json({error: 'Failed to read config'});
+        console.error('Error loading launch profiles:', error);
+        res.status(500).json({error: 'Failed to load launch profiles', details: error.message});
     }
 });
 
-app.post('/api/config', async (req, res) => {
+app.put('/api/games/:id/profiles', async (req, res) => {
     try {
-        console.log('Received config update:', JSON.stringify(req.body, null, 2));
-        const updatedConfig = await writeConfig(req.body);
-        res.json({success: true, config: updatedConfig});
+        const existing = await getGame(req.params.id);
+        if (!existing) {
+            return res.status(404).json({success: false, error: 'Game not found'});
+        }
+
+        const {launchProfiles, defaultProfile} = await normalizeProfiles(
+            req.body?.profiles,
+            req.body?.defaultProfile,
+            existing.installPath || dirname(existing.path)
+        );
+        const game = await updateGame(req.params.id, {launchProfiles, defaultProfile});
+        res.json({success: true, profiles: game.launchProfiles, defaultProfile: resolveProfile(game).id});
     } catch (error) {
-        console.error('Error saving config:', error);
+        if (error instanceof LaunchProfileError) {
+            return res.status(400).json({success: false, error: error.message});
+        }
+        console.error('Error saving launch profiles:', error);
         res.status(500).json({
-            error: 'Failed to save config',
+            success: false,
+            error: 'Failed to save launch profiles',
             details: error.message
         });
     }
 });
 
-// Launch game endpoint
-app.post('/api/games/launch', express.json(), async (req, res) => {
+// Launch targets a user added to a game, the detected ones come from scans
+app.put('/api/games/:id/targets', async (req, res) => {
     try {
-        const {gamePath} = req.body;
-        if (!gamePath) {
-            return res.status(400).json({success: false, error: 'Game path is required'});
+        const existing = await getGame(req.params.id);
+        if (!existing) {
+            return res.status(404).json({success: false, error: 'Game not found'});
         }
 
-        // Try to find if this is a Steam game
-        const steamGame = await findSteamGameByPath(gamePath);
-        if (steamGame) {
-            console.log(`Launching Steam game: ${steamGame.name} (AppID: ${steamGame.appId})`);
-            const command = `xdg-open "steam://rungameid/${steamGame.appId}"`;
-            exec(command, {detached: true});
-            return res.json({
-                success: true,
-                type: 'steam',
-                appId: steamGame.appId,
-                name: steamGame.name
-            });
+        const customTargets = await normalizeTargets(existing, req.body?.targets);
+        const game = await updateGame(req.params.id, {customTargets});
+        res.json({success: true, customTargets: game.customTargets, targets: listTargets(game)});
+    } catch (error) {
+        if (error instanceof LaunchTargetError) {
+            return res.status(400).json({success: false, error: error.message});
         }
+        console.error('Error saving launch targets:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save launch targets',
+            details: error.message
+        });
+    }
+});
 
-        const result = await launchGame(gamePath);
-        res.json(result);
+// Wine runner and prefix of a Windows game
+app.put('/api/games/:id/runner', async (req, res) => {
+    try {
+        const {runner = null, winePrefix = null} = req.body || {};
+        if (!await getGame(req.params.id)) {
+            return res.status(404).json({success: false, error: 'Game not found'});
+        }
+        if (runner !== null && !(await findRunners()).some(r => r.id === runner)) {
+            return res.status(400).json({success: false, error: `Runner ${runner} is not installed`});
+        }
+
+        const prefix = winePrefix === null ? null : await checkWinePrefix(winePrefix);
+        const game = await updateGame(req.params.id, {runner, winePrefix: prefix});
+        res.json({success: true, runner: game.runner, winePrefix: game.winePrefix});
     } catch (error) {
-        console.error('Error launching game:', error);
+        if (error instanceof WinePrefixError) {
+            return res.status(400).json({success: false, error: error.message});
+        }
+        console.error('Error saving runner:', error);
         res.status(500).json({
             success: false,
-            error: 'Internal server error',
+            error: 'Failed to save runner',
             details: error.message
         });
     }
 });
 
-app.get('/api/games', async (req, res) => {
+// Playtime and play sessions of a game
+app.get('/api/games/:id/sessions', async (req, res) => {
     try {
-        console.log('Scanning for games...');
-        const config = await readConfig();
-        console.log('Using config:', JSON.stringify(config, null, 2));
+        const game = await getGame(req.params.id);
+        if (!game) {
+            return res.status(404).json({error: 'Game not found'});
+        }
+        res.json({
+            playtime: totalPlaytime(game),
+            lastPlayed: game.lastPlayed || null,
+            sessions: game.sessions || []
+        });
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        res.status(500).json({error: 'Failed to load sessions', details: error.message});
+    }
+});
+
+// Cached artwork, served from disk so covers work offline
+app.get('/api/artwork/:gameId/:type', async (req, res) => {
+    try {
+        const {gameId, type} = req.params;
+        if (!ARTWORK_TYPES.includes(type)) {
+            return res.status(404).send('Unknown artwork type');
+        }
 
-        let allGames = [];
+        let file = await getArtworkFile(gameId, type);
 
-        if (!config.directories || !Array.isArray(config.directories)) {
-            console.warn('No game directories configured');
-            return res.json([]);
+        // Evicted or never cached, fetch it again from where it came from
+        if (!file) {
+            const source = (await getGame(gameId))?.artworkSources?.[type];
+            if (!source) {
+                return res.status(404).send('Artwork not found');
+            }
+            if (await cacheArtwork(gameId, type, source)) {
+                file = await getArtworkFile(gameId, type);
+            } else if (/^https?:\/\//.test(source)) {
+                return res.redirect(source);
+            } else {
+                return res.status(404).send('Artwork not found');
+            }
         }
 
-        // Scan all directories for games
-        for (const dir of config.directories) {
-            try {
-                console.log(`Scanning directory: ${dir}`);
-                const games = await scanDirectory(dir);
-                console.log(`Found ${games.length} games in ${dir}`);
-                allGames = [...allGames, ...games];
-            } catch (dirError) {
-                console.error(`Error scanning directory ${dir}:`, dirError);
-                // Continue with next directory even if one fails
+        res.sendFile(file, {maxAge: '7d'}, (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).send('Artwork not found');
             }
+        });
+    } catch (error) {
+        console.error('Error serving artwork:', error);
+        res.status(500).send('Error serving artwork');
+    }
+});
+
+// Drop cached artwork so it is fetched again from its source
+app.delete('/api/artwork/:gameId/:type?', async (req, res) => {
+    try {
+        const {gameId, type} = req.params;
+        if (type && !ARTWORK_TYPES.includes(type)) {
+            return res.status(404).json({success: false, error: 'Unknown artwork type'});
         }
 
-        console.log(`Total games found: ${allGames.length}`);
-        res.json(allGames);
+        const removed = await invalidateArtwork(gameId, type);
+        res.json({success: true, removed});
     } catch (error) {
-        console.error('Error in /api/games:', error);
+        console.error('Error invalidating artwork:', error);
         res.status(500).json({
-            error: 'Failed to scan for games',
-            details: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            success: false,
+            error: 'Failed to invalidate artwork',
+            details: error.message
         });
     }
 });
 
+// Live updates for open browsers
+app.get('/api/events', handleEventStream);
+
+libraryEvents.on('change', ({type, game, source}) => {
+    broadcast('library', {type, source, game: toListEntry(game)});
+});
+
 // Serve the frontend for any other route
 app.get('*', (req, res) => {
     res.sendFile(join(__dirname, 'public', 'index.html'));
 });
 
+// Record play sessions of launched games
+initPlaytimeTracking();
+
+// Turn on the login when LAUNCHER_PASSWORD is set on first run
+initAuth().catch(error => {
+    console.error('Error setting up login:', error);
+});
+
 // Start the server
 app.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
 });
+
+// Pick up games that are added or removed while the server runs
+syncWatchers().catch(error => {
+    console.error('Error starting directory watchers:', error);
+});
@@ -0,0 +1,263 @@
+import axios from 'axios';
+import {createHash} from 'crypto';
+import {join, isAbsolute} from 'path';
+import fs from 'fs/promises';
+import {DATA_DIR, readConfig} from './config.js';
+
+// Downloaded artwork lives in cache/artwork/<gameId>/<type>.<ext>
+export const ARTWORK_DIR = join(DATA_DIR, 'cache', 'artwork');
+const INDEX_FILE = join(ARTWORK_DIR, 'index.json');
+
+// Kinds of artwork a game can have
+export const ARTWORK_TYPES = ['cover', 'hero', 'logo', 'icon'];
+
+const CONTENT_TYPE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'image/x-icon': '.ico',
+    'image/vnd.microsoft.icon': '.ico'
+};
+
+// Game IDs become directory names, so only allow plain ID characters
+const GAME_ID_PATTERN = /^[\w-]+$/;
+
+const DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+
+// Larger downloads are dropped instead of filling the cache
+const MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+
+// Access times are written back at most this often
+const INDEX_SAVE_DELAY_MS = 10 * 1000;
+
+// Cache index, keyed by "<gameId>/<type>"
+let index = null;
+let saveQueue = Promise.resolve();
+let saveTimer = null;
+
+async function loadIndex() {
+    if (index) return index;
+
+    try {
+        index = JSON.parse(await fs.readFile(INDEX_FILE, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading artwork cache index, starting empty:', error);
+        }
+        index = {};
+    }
+
+    return index;
+}
+
+function saveIndex() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    saveQueue = saveQueue.then(async () => {
+        await fs.mkdir(ARTWORK_DIR, {recursive: true});
+        const tmpFile = `${INDEX_FILE}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(index, null, 2) + '\n', 'utf-8');
+        await fs.rename(tmpFile, INDEX_FILE);
+    }).catch(error => {
+        console.error('Error saving artwork cache index:', error);
+    });
+    return saveQueue;
+}
+
+function scheduleIndexSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveIndex, INDEX_SAVE_DELAY_MS);
+    saveTimer.unref();
+}
+
+/**
+ * URL the frontend uses to load a cached artwork.
+ * It changes with the source, so browsers do not keep showing replaced artwork.
+ * @param {string} gameId - Library ID of the game
+ * @param {string} type - One of ARTWORK_TYPES
+ * @param {string} [source] - Where the artwork came from
+ * @returns {string}
+ */
+export function artworkUrl(gameId, type, source) {
+    const url = `/api/artwork/${encodeURIComponent(gameId)}/${type}`;
+    return source ? `${url}?v=${createHash('sha1').update(source).digest('hex').substring(0, 8)}` : url;
+}
+
+// File signatures of the image formats that can be cached
+const IMAGE_SIGNATURES = [
+    {ext: '.png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]},
+    {ext: '.jpg', bytes: [0xff, 0xd8, 0xff]},
+    {ext: '.gif', bytes: [0x47, 0x49, 0x46, 0x38]},
+    {ext: '.ico', bytes: [0x00, 0x00, 0x01, 0x00]},
+    {ext: '.bmp', bytes: [0x42, 0x4d]}
+];
+
+/**
+ * Tell the image format from the first bytes of a file
+ * @param {Buffer} data - Start of the file, 12 bytes are enough
+ * @returns {string|null} - Extension such as `.png`, null if it is no supported image
+ */
+export function imageExtension(data) {
+    if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+        return '.webp';
+    }
+    const match = IMAGE_SIGNATURES.find(({bytes}) => bytes.every((byte, i) => data[i] === byte));
+    return match ? match.ext : null;
+}
+
+/**
+ * Tell the image format of a local file from its first bytes
+ * @param {string} file - File to check
+ * @returns {Promise<string|null>} - Extension such as `.png`, null if it is no supported image
+ */
+export async function readImageExtension(file) {
+    const handle = await fs.open(file, 'r');
+    try {
+        const header = Buffer.alloc(12);
+        const {bytesRead} = await handle.read(header, 0, header.length, 0);
+        return imageExtension(header.subarray(0, bytesRead));
+    } finally {
+        await handle.close();
+    }
+}
+
+// Fetch the artwork bytes from a URL or a local file
+async function readSource(source) {
+    // Local files are only cached when they really are images, whatever their name says
+    if (isAbsolute(source)) {
+        const data = await fs.readFile(source);
+        const ext = imageExtension(data);
+        if (!ext) throw new Error(`${source} is not an image`);
+        return {data, ext};
+    }
+
+    const response = await axios.get(source, {
+        responseType: 'arraybuffer',
+        timeout: DOWNLOAD_TIMEOUT_MS,
+        maxContentLength: MAX_DOWNLOAD_BYTES,
+        maxBodyLength: MAX_DOWNLOAD_BYTES
+    });
+    const data = Buffer.from(response.data);
+
+    // The bytes decide first, the URL's extension is never trusted
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const ext = imageExtension(data) || CONTENT_TYPE_EXTENSIONS[contentType];
+    if (!ext) throw new Error(`${source} is not an image`);
+    return {data, ext};
+}
+
+/**
+ * Store an artwork in the local cache.
+ * Nothing is downloaded when the same source is already cached.
+ * @param {string} gameId - Library ID of the game
+ * @param {string} type - One of ARTWORK_TYPES
+ * @param {string} source - http(s) URL or absolute path of a local image
+ * @returns {Promise<string|null>} - Local artwork URL or null if it could not be cached
+ */
+export async function cacheArtwork(gameId, type, source) {
+    if (!ARTWORK_TYPES.includes(type) || !GAME_ID_PATTERN.test(gameId) || !source) return null;
+
+    const cache = await loadIndex();
+    const key = `${gameId}/${type}`;
+    const existing = cache[key];
+
+    if (existing && existing.source === source) {
+        try {
+            await fs.access(join(ARTWORK_DIR, existing.file));
+            return artworkUrl(gameId, type, source);
+        } catch (error) {
+            // File was deleted behind our back, fetch it again
+        }
+    }
+
+    try {
+        const {data, ext} = await readSource(source);
+        const file = join(gameId, `${type}${ext}`);
+
+        await fs.mkdir(join(ARTWORK_DIR, gameId), {recursive: true});
+        if (existing && existing.file !== file) {
+            await fs.rm(join(ARTWORK_DIR, existing.file), {force: true});
+        }
+        await fs.writeFile(join(ARTWORK_DIR, file), data);
+
+        const now = new Date().toISOString();
+        cache[key] = {source, file, size: data.length, fetched: now, accessed: now};
+        await enforceSizeLimit(key);
+        await saveIndex();
+
+        return artworkUrl(gameId, type, source);
+    } catch (error) {
+        console.error(`Error caching ${type} artwork for ${gameId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Get the cached file of an artwork
+ * @param {string} gameId - Library ID of the game
+ * @param {string} type - One of ARTWORK_TYPES
+ * @returns {Promise<string|null>} - Absolute file path or null if not cached
+ */
+export async function getArtworkFile(gameId, type) {
+    const cache = await loadIndex();
+    const entry = cache[`${gameId}/${type}`];
+    if (!entry) return null;
+
+    entry.accessed = new Date().toISOString();
+    scheduleIndexSave();
+    return join(ARTWORK_DIR, entry.file);
+}
+
+/**
+ * Remove cached artwork so it is fetched again from its source
+ * @param {string} gameId - Library ID of the game
+ * @param {string} [type] - Only remove this type, all types if omitted
+ * @returns {Promise<number>} - Number of removed files
+ */
+export async function invalidateArtwork(gameId, type) {
+    if (!GAME_ID_PATTERN.test(gameId)) return 0;
+
+    const cache = await loadIndex();
+    const types = type ? [type] : ARTWORK_TYPES;
+    let removed = 0;
+
+    for (const artworkType of types) {
+        const key = `${gameId}/${artworkType}`;
+        if (!cache[key]) continue;
+
+        await fs.rm(join(ARTWORK_DIR, cache[key].file), {force: true});
+        delete cache[key];
+        removed++;
+    }
+
+    if (removed > 0) {
+        await saveIndex();
+    }
+
+    // Remove the game's folder once it is empty
+    await fs.rmdir(join(ARTWORK_DIR, gameId)).catch(() => {});
+    return removed;
+}
+
+// Drop the least recently used artwork until the cache fits the configured size
+async function enforceSizeLimit(keepKey) {
+    const config = await readConfig();
+    const limit = (Number(config.artworkCacheSizeMB) || 0) * 1024 * 1024;
+    if (limit <= 0) return;
+
+    let total = Object.values(index).reduce((sum, entry) => sum + (entry.size || 0), 0);
+    if (total <= limit) return;
+
+    const candidates = Object.entries(index)
+        .filter(([key]) => key !== keepKey)
+        .sort(([, a], [, b]) => (a.accessed || '').localeCompare(b.accessed || ''));
+
+    for (const [key, entry] of candidates) {
+        if (total <= limit) break;
+        await fs.rm(join(ARTWORK_DIR, entry.file), {force: true});
+        total -= entry.size || 0;
+        delete index[key];
+        console.log(`Evicted ${key} from the artwork cache`);
+    }
+}
@@ -0,0 +1,74 @@
+import {join, extname, sep} from 'path';
+import fs from 'fs/promises';
+import {readConfig} from './config.js';
+
+/**
+ * Files from inside game folders, such as icons or trailers that ship with a game.
+ * Only images and media are served, and only when their real path, with symlinks
+ * resolved, stays inside a configured library directory.
+ */
+
+// Served file types; SVG is left out because it can carry scripts
+export const ASSET_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.bmp': 'image/bmp',
+    '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.ogv': 'video/ogg',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav'
+};
+
+/**
+ * Check whether a path lies inside a directory; both must already be real paths
+ * @param {string} root - Directory
+ * @param {string} path - Path to check
+ * @returns {boolean}
+ */
+export function isInsideDirectory(root, path) {
+    return path.startsWith(root.endsWith(sep) ? root : root + sep);
+}
+
+// A single path segment, no separators, parent references or NUL bytes
+function isPlainName(name) {
+    return typeof name === 'string' && name !== '' && name !== '.' && name !== '..' && !/[\\/\0]/.test(name);
+}
+
+/**
+ * Find a game asset in the configured directories
+ * @param {string} gameDir - Game folder name
+ * @param {string} filename - File inside the game folder
+ * @returns {Promise<{file: string, type: string}|null>} - Real path and content type, null if not servable
+ */
+export async function findGameAsset(gameDir, filename) {
+    if (!isPlainName(gameDir) || !isPlainName(filename)) return null;
+
+    const type = ASSET_TYPES[extname(filename).toLowerCase()];
+    if (!type) return null;
+
+    const config = await readConfig();
+    const directories = Array.isArray(config.directories) ? config.directories : [];
+
+    for (const dir of directories) {
+        try {
+            const root = await fs.realpath(dir);
+            const file = await fs.realpath(join(root, gameDir, filename));
+            const stats = await fs.stat(file);
+
+            // A link named icon.png must not serve some other kind of file
+            if (stats.isFile() && isInsideDirectory(root, file) && ASSET_TYPES[extname(file).toLowerCase()]) {
+                return {file, type};
+            }
+        } catch (error) {
+            // Not in this directory, try the next one
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,261 @@
+import {randomBytes, scrypt, createHash, timingSafeEqual} from 'crypto';
+import {promisify} from 'util';
+import {join} from 'path';
+import fs from 'fs/promises';
+import {DATA_DIR} from './config.js';
+
+/**
+ * Optional login for the web UI. Logging in is off until a password is set,
+ * either from the settings page or with LAUNCHER_PASSWORD on first run.
+ *
+ * Browsers get a session cookie plus a CSRF token that must be sent back in the
+ * X-CSRF-Token header on every mutating request. Scripts can use an access token
+ * in an `Authorization: Bearer` header instead.
+ */
+
+// Credentials live apart from config.json, which is served to the browser
+const AUTH_FILE = join(DATA_DIR, 'auth.json');
+
+export const SESSION_COOKIE = 'launcher_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Failed logins per client before it has to wait
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const scryptAsync = promisify(scrypt);
+
+let credentials = null;
+
+// Active sessions, keyed by session ID
+const sessions = new Map();
+
+// Failed login attempts, keyed by client address
+const failedLogins = new Map();
+
+export class AuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+async function loadCredentials() {
+    if (credentials) return credentials;
+
+    try {
+        credentials = JSON.parse(await fs.readFile(AUTH_FILE, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading auth.json, login stays disabled:', error);
+        }
+        credentials = {};
+    }
+
+    return credentials;
+}
+
+async function saveCredentials() {
+    const tmpFile = `${AUTH_FILE}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(credentials, null, 2) + '\n', {encoding: 'utf-8', mode: 0o600});
+    await fs.rename(tmpFile, AUTH_FILE);
+}
+
+async function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+    const hash = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function checkPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const actual = (await hashPassword(password, salt)).split('$')[2];
+    return timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Check whether a login is required
+ * @returns {Promise<boolean>}
+ */
+export async function isAuthEnabled() {
+    return Boolean((await loadCredentials()).passwordHash);
+}
+
+/**
+ * Set the password from LAUNCHER_PASSWORD when no password exists yet
+ */
+export async function initAuth() {
+    const password = process.env.LAUNCHER_PASSWORD;
+    if (password && !await isAuthEnabled()) {
+        await setPassword(password);
+        console.log('Login enabled with the password from LAUNCHER_PASSWORD');
+    }
+}
+
+/**
+ * Set or change the login password, which turns the login on
+ * @param {string} password - New password
+ * @throws {AuthError} - If the password is too short
+ */
+export async function setPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    await loadCredentials();
+    credentials.passwordHash = await hashPassword(password);
+    await saveCredentials();
+
+    // Sessions from before the change have to log in again
+    sessions.clear();
+}
+
+/**
+ * Remove the password and access token, which turns the login off
+ */
+export async function disableAuth() {
+    credentials = {};
+    await fs.rm(AUTH_FILE, {force: true});
+    sessions.clear();
+}
+
+/**
+ * Create a new access token for scripts, replacing the previous one
+ * @returns {Promise<string>} - The token, only shown this once
+ */
+export async function createAccessToken() {
+    await loadCredentials();
+    const token = randomBytes(32).toString('base64url');
+    credentials.tokenHash = hashToken(token);
+    await saveCredentials();
+    return token;
+}
+
+/**
+ * Log in with the password or the access token
+ * @param {string} secret - Password or access token
+ * @param {string} client - Client address, used to slow down guessing
+ * @returns {Promise<{id: string, csrfToken: string, expires: number}>} - New session
+ * @throws {AuthError} - If the secret is wrong or the client has to wait
+ */
+export async function login(secret, client) {
+    const failed = failedLogins.get(client);
+    if (failed && failed.count >= MAX_FAILED_LOGINS && Date.now() - failed.last < LOGIN_LOCKOUT_MS) {
+        throw new AuthError('Too many failed logins, try again in a minute', 429);
+    }
+
+    const {passwordHash, tokenHash} = await loadCredentials();
+    const valid = typeof secret === 'string' && secret.length > 0 && (
+        await checkPassword(secret, passwordHash) ||
+        (tokenHash && safeEqual(hashToken(secret), tokenHash))
+    );
+
+    if (!valid) {
+        failedLogins.set(client, {count: (failed?.count || 0) + 1, last: Date.now()});
+        throw new AuthError('Wrong password', 401);
+    }
+
+    failedLogins.delete(client);
+    const session = {
+        id: randomBytes(32).toString('base64url'),
+        csrfToken: randomBytes(32).toString('base64url'),
+        expires: Date.now() + SESSION_TTL_MS
+    };
+    sessions.set(session.id, session);
+    return session;
+}
+
+/**
+ * End a session
+ * @param {string} sessionId - Session ID from the cookie
+ */
+export function logout(sessionId) {
+    sessions.delete(sessionId);
+}
+
+// Read one cookie from the request
+function getCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) return decodeURIComponent(value.join('='));
+    }
+    return null;
+}
+
+/**
+ * Get the session of a request
+ * @param {Object} req - Express request
+ * @returns {Object|null} - Session or null if there is no valid one
+ */
+export function getSession(req) {
+    const session = sessions.get(getCookie(req, SESSION_COOKIE));
+    if (!session) return null;
+
+    if (session.expires < Date.now()) {
+        sessions.delete(session.id);
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Cookie header value for a session
+ * @param {Object} req - Express request, to tell whether the connection is HTTPS
+ * @param {Object|null} session - Session to set, null to clear the cookie
+ * @returns {string}
+ */
+export function sessionCookie(req, session) {
+    const attributes = ['Path=/', 'HttpOnly', 'SameSite=Strict'];
+    if (req.secure) attributes.push('Secure');
+
+    return session
+        ? [`${SESSION_COOKIE}=${session.id}`, `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`, ...attributes].join('; ')
+        : [`${SESSION_COOKIE}=`, 'Max-Age=0', ...attributes].join('; ');
+}
+
+// Check an `Authorization: Bearer` header against the access token
+async function hasValidToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const {tokenHash} = await loadCredentials();
+    return Boolean(match && tokenHash && safeEqual(hashToken(match[1]), tokenHash));
+}
+
+/**
+ * Express middleware that rejects requests without a session or access token
+ * once a password is set, and mutating session requests without the CSRF token
+ */
+export async function requireAuth(req, res, next) {
+    try {
+        if (!await isAuthEnabled() || await hasValidToken(req)) {
+            return next();
+        }
+
+        const session = getSession(req);
+        if (!session) {
+            return res.status(401).json({success: false, error: 'Login required'});
+        }
+
+        if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !safeEqual(req.get('X-CSRF-Token') || '', session.csrfToken)) {
+            return res.status(403).json({success: false, error: 'Invalid CSRF token'});
+        }
+
+        req.session = session;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
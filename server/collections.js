@@ -0,0 +1,87 @@
+import path from 'path';
+
+/**
+ * Collections group the library in the sidebar. Auto collections follow from what
+ * the library already knows about a game, e.g. how it launches or when it was added.
+ * Every tag is a collection of its own with the ID `tag:<name>`, so putting a game
+ * into a collection is tagging it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Games added within this many days are recently added
+const RECENTLY_ADDED_DAYS = 14;
+
+// Windows files that are not worth reading the header of
+const WINDOWS_EXTENSIONS = ['.exe', '.msi', '.bat', '.lnk'];
+
+/**
+ * Tell how a game launches from its library entry, without touching its files
+ * @param {Object} game - Library entry
+ * @returns {'steam'|'wine'|'native'}
+ */
+export function launchKind(game) {
+    if (game.source === 'steam') return 'steam';
+
+    // The scan read the header of the executable it picked
+    const executable = game.installPath ? path.relative(game.installPath, game.path) : null;
+    const type = game.executableCandidates?.find(candidate => candidate.path === executable)?.type;
+    if (type === 'pe' || (!type && WINDOWS_EXTENSIONS.includes(path.extname(game.path || '').toLowerCase()))) {
+        return 'wine';
+    }
+    return 'native';
+}
+
+const AUTO_COLLECTIONS = [
+    {id: 'favorites', name: 'Favorites', icon: 'fas fa-star', match: game => game.favorite === true},
+    {id: 'steam', name: 'Steam', icon: 'fab fa-steam', match: game => launchKind(game) === 'steam'},
+    {id: 'wine', name: 'Wine', icon: 'fas fa-wine-glass', match: game => launchKind(game) === 'wine'},
+    {id: 'native', name: 'Native', icon: 'fab fa-linux', match: game => launchKind(game) === 'native'},
+    {
+        id: 'recent',
+        name: 'Recently added',
+        icon: 'fas fa-clock',
+        match: (game, now) => Boolean(game.added) && now - Date.parse(game.added) < RECENTLY_ADDED_DAYS * DAY_MS
+    }
+];
+
+/**
+ * IDs of the collections a game is in. Games that are no longer on disk are in
+ * none, so the counts match what a collection shows.
+ * @param {Object} game - Library entry
+ * @param {number} [now] - Current time, for recently added
+ * @returns {string[]}
+ */
+export function gameCollections(game, now = Date.now()) {
+    if (game.missing) return [];
+
+    return [
+        ...AUTO_COLLECTIONS.filter(collection => collection.match(game, now)).map(collection => collection.id),
+        ...(game.tags || []).map(tag => `tag:${tag}`)
+    ];
+}
+
+/**
+ * All collections with the number of installed games in each, auto collections
+ * first, then the tags in alphabetical order
+ * @param {Object[]} games - Library entries
+ * @returns {Array<{id: string, name: string, icon: string, auto: boolean, count: number}>}
+ */
+export function listCollections(games) {
+    const now = Date.now();
+    const counts = new Map();
+    for (const game of games) {
+        for (const id of gameCollections(game, now)) {
+            counts.set(id, (counts.get(id) || 0) + 1);
+        }
+    }
+
+    const tags = [...counts.keys()]
+        .filter(id => id.startsWith('tag:'))
+        .sort((a, b) => a.localeCompare(b, undefined, {sensitivity: 'base'}));
+
+    return [
+        ...AUTO_COLLECTIONS.map(({id, name, icon}) => ({id, name, icon, auto: true, count: counts.get(id) || 0})),
+        ...tags.map(id => ({id, name: id.substring(4), icon: 'fas fa-tag', auto: false, count: counts.get(id)}))
+    ];
+}
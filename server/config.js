@@ -0,0 +1,127 @@
+import {fileURLToPath} from 'url';
+import {dirname, join} from 'path';
+import fs from 'fs/promises';
+import path from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Project root, where config.json and the library store live
+export const DATA_DIR = join(dirname(__filename), '..');
+
+// Default config
+export const defaultConfig = {
+    version: 1,
+    directories: [
+        "/home/salmon/Games",
+        "/home/salmon/.local/share/Steam/steamapps/common"
+    ],
+    cardSize: "medium",
+    artworkCacheSizeMB: 512,
+    steamLibrary: true,
+    defaultRunner: null,
+    directoryRunners: {},
+    corsOrigins: [],
+    metadataPriority: {
+        default: ["steam", "local", "igdb", "steamgriddb"]
+    }
+};
+
+// Config file path
+export const CONFIG_FILE = join(DATA_DIR, 'config.json');
+
+// Helper function to check if config file exists
+async function configExists() {
+    try {
+        await fs.access(CONFIG_FILE);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Helper function to read config
+export async function readConfig() {
+    // Check if config file exists
+    const exists = await configExists();
+    if (!exists) {
+        console.log('Config file not found, creating with default settings...');
+        // Create the directory if it doesn't exist
+        await fs.mkdir(path.dirname(CONFIG_FILE), {recursive: true});
+        // Write default config
+        await fs.writeFile(CONFIG_FILE, JSON.stringify(defaultConfig, null, 2) + '\n', 'utf-8');
+        return {...defaultConfig};
+    }
+
+    try {
+        // Read and parse the config file
+        const data = await fs.readFile(CONFIG_FILE, 'utf-8');
+        const config = JSON.parse(data);
+
+        // Ensure all required fields exist
+        const mergedConfig = {...defaultConfig, ...config};
+
+        // If we had to merge in defaults, update the config file
+        if (JSON.stringify(mergedConfig) !== JSON.stringify(config)) {
+            console.log('Upgrading config with new defaults...');
+            await fs.writeFile(CONFIG_FILE, JSON.stringify(mergedConfig, null, 2) + '\n', 'utf-8');
+        }
+
+        return mergedConfig;
+    } catch (error) {
+        console.error('Error reading config:', error);
+        // Return defaults without saving to avoid loops
+        return {...defaultConfig};
+    }
+}
+
+// Helper function to write config
+export async function writeConfig(newConfig) {
+    try {
+        // Ensure the directory exists
+        await fs.mkdir(path.dirname(CONFIG_FILE), {recursive: true});
+
+        // If we're writing a partial config, merge with existing config if it exists
+        let mergedConfig;
+        const exists = await configExists();
+
+        if (exists) {
+            try {
+                const currentConfig = JSON.parse(await fs.readFile(CONFIG_FILE, 'utf-8'));
+                mergedConfig = {...defaultConfig, ...currentConfig, ...newConfig};
+
+                // Preserve all non-array config properties that aren't being updated
+                Object.keys(currentConfig).forEach(key => {
+                    // Preserve existing values if they're not being updated and aren't arrays
+                    if (!(key in newConfig) && !Array.isArray(currentConfig[key])) {
+                        mergedConfig[key] = currentConfig[key];
+                    }
+
+                    // Special handling for arrays - only preserve if not being updated
+                    if (Array.isArray(currentConfig[key]) && !(key in newConfig)) {
+                        mergedConfig[key] = currentConfig[key];
+                    }
+                });
+            } catch (error) {
+                console.error('Error reading existing config for merge:', error);
+                // If we can't read the current config, use defaults with new values
+                mergedConfig = {...defaultConfig, ...newConfig};
+            }
+        } else {
+            // No existing config, just merge defaults with new values
+            mergedConfig = {...defaultConfig, ...newConfig};
+        }
+
+        // Ensure version is always set to current
+        mergedConfig.version = defaultConfig.version;
+
+        // Write the config file with pretty printing
+        const configStr = JSON.stringify(mergedConfig, null, 2) + '\n'; // Add newline at end
+        await fs.writeFile(CONFIG_FILE, configStr, 'utf-8');
+
+        console.log('Config saved successfully to', CONFIG_FILE);
+        return mergedConfig;
+    } catch (error) {
+        console.error('Error writing config:', error);
+        throw new Error(`Failed to save configuration: ${error.message}`);
+    }
+}
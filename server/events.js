@@ -0,0 +1,41 @@
+// Browsers connected to the Server-Sent Events stream
+const clients = new Set();
+
+// Keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Express handler that keeps the response open as an event stream
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export function handleEventStream(req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    clients.add(res);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+    });
+}
+
+/**
+ * Send an event to every connected browser
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ */
+export function broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of clients) {
+        client.write(message);
+    }
+}
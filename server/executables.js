@@ -0,0 +1,272 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Finding the executable of a game folder. Files a few levels deep are scored by
+ * their name, location, format and architecture, helpers such as crash handlers,
+ * uninstallers and redistributable installers are pushed to the bottom. The ranked
+ * list lets the UI ask the user when the best guess is not clearly ahead.
+ */
+
+// File extensions worth looking at; files without one count when they are ELF binaries
+const EXECUTABLE_EXTENSIONS = ['.exe', '.bin', '.x86_64', '.x86', '.sh', '.AppImage'];
+
+// Enough of the file to find the PE header of a Windows executable
+const HEADER_SIZE = 4096;
+
+// How deep to look, e.g. Game/Binaries/Win64/Game.exe is two levels down
+const MAX_DEPTH = 3;
+
+// Stop walking huge folders after this many entries
+const MAX_ENTRIES = 5000;
+
+// Files read at once while scoring, so big folders do not run out of file descriptors
+const SCORE_CONCURRENCY = 16;
+
+// Folders that never hold the game itself
+const SKIPPED_DIRECTORIES = /^(\.|__macosx$|_commonredist$|redist$|redistributables?$|directx$|vcredist$|dotnet$|prerequisites$|support$|installers?$|engine$|node_modules$)/i;
+
+// Folders that usually hold the game binary
+const BINARY_DIRECTORIES = /^(bin|bin32|bin64|x64|x86_64|x86|win64|win32|linux|linux64|linux-x86_64|binaries|game)$/i;
+
+// Helpers and installers that ship next to games, with how much they count against a file
+const DENYLIST = [
+    [/^unins\d*|uninstall/i, 100],
+    [/crash(handler|report|pad)|crashpad_handler|bugreport/i, 100],
+    [/vc_?redist|vcredist|dxsetup|dxwebsetup|directx|dotnet|ndp\d+|physx|oalinst|xnafx|ue\d?prereq/i, 100],
+    [/easyanticheat|eac_launcher|battleye|beservice|be_service/i, 80],
+    [/setup|install/i, 60],
+    [/redist|prereq/i, 60],
+    [/update|patcher/i, 40],
+    [/helper|report|diagnostic|dump/i, 40],
+    [/server|dedicated/i, 30],
+    [/editor|sdk|tool/i, 20],
+    [/config|settings|benchmark/i, 10]
+];
+
+// Architectures the host can run, best first
+const HOST_ARCHITECTURES = process.arch === 'arm64' ? ['arm64', 'arm'] : ['x86_64', 'x86'];
+
+const ELF_MACHINES = {0x03: 'x86', 0x3e: 'x86_64', 0x28: 'arm', 0xb7: 'arm64'};
+const PE_MACHINES = {0x14c: 'x86', 0x8664: 'x86_64', 0x1c0: 'arm', 0xaa64: 'arm64'};
+
+// Score a candidate needs, and its lead over the runner-up, to be picked without asking
+const CONFIDENT_SCORE = 40;
+const CONFIDENT_LEAD = 15;
+
+/**
+ * Read the format and architecture of an executable from its first bytes
+ * @param {string} filePath - File to check
+ * @returns {Promise<{type: 'elf'|'pe'|'script'|null, arch: string|null}>} - Null type if the format is unknown
+ */
+export async function readExecutableInfo(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const header = Buffer.alloc(HEADER_SIZE);
+        const {bytesRead} = await handle.read(header, 0, HEADER_SIZE, 0);
+
+        if (bytesRead >= 20 && header.toString('latin1', 0, 4) === '\x7fELF') {
+            // EI_DATA says whether e_machine is little or big endian
+            const machine = header[5] === 2 ? header.readUInt16BE(0x12) : header.readUInt16LE(0x12);
+            return {type: 'elf', arch: ELF_MACHINES[machine] || null};
+        }
+        if (bytesRead >= 2 && header.toString('latin1', 0, 2) === '#!') {
+            return {type: 'script', arch: null};
+        }
+
+        // DOS header, pointing to the PE header at e_lfanew
+        if (bytesRead >= 0x40 && header.toString('latin1', 0, 2) === 'MZ') {
+            const peOffset = header.readUInt32LE(0x3c);
+            if (peOffset + 6 <= bytesRead && header.toString('latin1', peOffset, peOffset + 4) === 'PE\0\0') {
+                return {type: 'pe', arch: PE_MACHINES[header.readUInt16LE(peOffset + 4)] || null};
+            }
+        }
+
+        return {type: null, arch: null};
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Tell what kind of executable a file is from its first bytes
+ * @param {string} filePath - File to check
+ * @returns {Promise<'elf'|'pe'|'script'|null>} - Null if the format is unknown
+ */
+export async function detectExecutableType(filePath) {
+    return (await readExecutableInfo(filePath)).type;
+}
+
+// Lowercase letters and digits only, so "Hollow_Knight" matches "hollow knight.x86_64"
+function normalizeName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Files that could be executables, up to MAX_DEPTH folders down
+async function listCandidateFiles(gameDir) {
+    const files = [];
+    const pending = [{dir: gameDir, depth: 0}];
+    let visited = 0;
+
+    while (pending.length > 0 && visited < MAX_ENTRIES) {
+        const {dir, depth} = pending.shift();
+        let entries;
+        try {
+            entries = await fs.readdir(dir, {withFileTypes: true});
+        } catch (err) {
+            continue;
+        }
+
+        for (const entry of entries) {
+            if (++visited > MAX_ENTRIES) break;
+            const entryPath = path.join(dir, entry.name);
+
+            if (entry.isDirectory()) {
+                if (depth < MAX_DEPTH && !SKIPPED_DIRECTORIES.test(entry.name)) {
+                    pending.push({dir: entryPath, depth: depth + 1});
+                }
+            } else if (entry.isFile()) {
+                const ext = path.extname(entry.name);
+                if (EXECUTABLE_EXTENSIONS.includes(ext) || ext === '') {
+                    files.push({file: entryPath, depth});
+                }
+            }
+        }
+    }
+
+    return files;
+}
+
+// Guess the format of a file that could not be read from its extension and executable bit
+function guessExecutableInfo(file, stats) {
+    const ext = path.extname(file);
+    if (ext === '.exe') return {type: 'pe', arch: null};
+    if (ext === '.sh') return {type: 'script', arch: null};
+    return {type: (stats.mode & 0o111) !== 0 ? 'elf' : null, arch: null};
+}
+
+// Score one file, higher is more likely the game; null if it is no executable at all
+async function scoreCandidate(gameDir, folderName, {file, depth}) {
+    let stats;
+    try {
+        stats = await fs.stat(file);
+    } catch (err) {
+        // Removed since the folder was listed
+        return null;
+    }
+
+    const reasons = [];
+    let info;
+    try {
+        info = await readExecutableInfo(file);
+    } catch (err) {
+        // An unreadable file may still be the game, it is ranked by its name
+        console.warn(`Could not read ${file}: ${err.message}`);
+        info = guessExecutableInfo(file, stats);
+        reasons.push('could not be read');
+    }
+
+    const ext = path.extname(file);
+    const relativePath = path.relative(gameDir, file);
+    const baseName = path.basename(file, ext);
+    let score = 0;
+
+    // Files without an extension only count when they are binaries
+    if (!info.type) return null;
+    if (ext === '' && info.type !== 'elf') return null;
+
+    if (info.type === 'elf') {
+        score += 20;
+        reasons.push('Linux binary');
+    } else if (info.type === 'pe') {
+        score += 15;
+        reasons.push('Windows binary');
+    } else {
+        score += 10;
+        reasons.push('script');
+    }
+
+    if (info.arch) {
+        const rank = HOST_ARCHITECTURES.indexOf(info.arch);
+        if (rank === 0) {
+            score += 10;
+        } else if (rank > 0) {
+            score += 5;
+        } else {
+            score -= 40;
+            reasons.push(`${info.arch} binary`);
+        }
+    }
+
+    // Named after the game folder
+    const name = normalizeName(baseName);
+    const folder = normalizeName(folderName);
+    if (name && folder) {
+        if (name === folder) {
+            score += 30;
+            reasons.push('named like the folder');
+        } else if (name.includes(folder) || folder.includes(name)) {
+            score += 15;
+            reasons.push('name similar to the folder');
+        }
+    }
+
+    for (const [pattern, penalty] of DENYLIST) {
+        if (pattern.test(baseName)) {
+            score -= penalty;
+            reasons.push('looks like a helper or installer');
+            break;
+        }
+    }
+
+    // Deeper files are less likely, unless they sit in a typical binary folder
+    const parent = path.basename(path.dirname(file));
+    score -= depth * 5;
+    if (depth > 0 && BINARY_DIRECTORIES.test(parent)) {
+        score += 5;
+    }
+
+    // The game is usually the biggest binary, scripts are small either way
+    if (info.type !== 'script' && stats.size > 0) {
+        score += Math.min(10, Math.max(0, Math.round(Math.log2(stats.size / (1024 * 1024)))));
+    }
+
+    return {path: relativePath, score, type: info.type, arch: info.arch, size: stats.size, reasons};
+}
+
+// Score the files a few at a time, in their listed order
+async function scoreCandidates(gameDir, folderName, files) {
+    const scored = new Array(files.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < files.length) {
+            const index = next++;
+            scored[index] = await scoreCandidate(gameDir, folderName, files[index]);
+        }
+    };
+    await Promise.all(Array.from({length: Math.min(SCORE_CONCURRENCY, files.length)}, worker));
+
+    return scored;
+}
+
+/**
+ * Rank the executables in a game folder, best guess first
+ * @param {string} gameDir - Game folder
+ * @param {string} [folderName] - Name the executable is compared with, the folder name if omitted
+ * @returns {Promise<{candidates: Object[], confident: boolean}>} - Candidates with their path relative
+ *   to gameDir, score, type, arch, size and reasons; confident is false when the UI should ask
+ */
+export async function findExecutableCandidates(gameDir, folderName = path.basename(gameDir)) {
+    const files = await listCandidateFiles(gameDir);
+    const scored = await scoreCandidates(gameDir, folderName, files);
+    const candidates = scored
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+
+    const [best, runnerUp] = candidates;
+    const confident = Boolean(best) && best.score >= CONFIDENT_SCORE &&
+        (!runnerUp || best.score - runnerUp.score >= CONFIDENT_LEAD);
+
+    return {candidates, confident};
+}
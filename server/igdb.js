@@ -0,0 +1,139 @@
+import axios from 'axios';
+import igdbModule from 'igdb-api-node';
+
+// The package is CommonJS with its client as the default export
+const createIGDBClient = igdbModule.default;
+
+// Configure IGDB with Twitch client credentials; without them, games get no IGDB metadata
+const IGDB_CLIENT_ID = process.env.IGDB_CLIENT_ID;
+const IGDB_CLIENT_SECRET = process.env.IGDB_CLIENT_SECRET;
+
+// Both URLs can point to a local mock server for testing
+const IGDB_BASE_URL = process.env.IGDB_BASE_URL || 'https://api.igdb.com/v4';
+const IGDB_AUTH_URL = process.env.IGDB_AUTH_URL || 'https://id.twitch.tv/oauth2/token';
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// Renew the access token this long before Twitch says it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+const GAME_FIELDS = [
+    'name',
+    'summary',
+    'first_release_date',
+    'genres.name',
+    'involved_companies.developer',
+    'involved_companies.publisher',
+    'involved_companies.company.name',
+    'total_rating'
+];
+
+let accessToken = null;
+
+// Cache for metadata lookups, keyed by lowercase game name
+const metadataCache = new Map();
+
+/**
+ * Check whether IGDB credentials are configured
+ * @returns {boolean}
+ */
+export function isIgdbConfigured() {
+    return Boolean(IGDB_CLIENT_ID && IGDB_CLIENT_SECRET);
+}
+
+// Get an app access token from Twitch, reusing it until it expires
+async function getAccessToken() {
+    if (accessToken && accessToken.expires > Date.now()) {
+        return accessToken.value;
+    }
+
+    const response = await axios.post(IGDB_AUTH_URL, null, {
+        params: {
+            client_id: IGDB_CLIENT_ID,
+            client_secret: IGDB_CLIENT_SECRET,
+            grant_type: 'client_credentials'
+        },
+        timeout: REQUEST_TIMEOUT_MS
+    });
+
+    accessToken = {
+        value: response.data.access_token,
+        expires: Date.now() + (Number(response.data.expires_in) || 0) * 1000 - TOKEN_EXPIRY_MARGIN_MS
+    };
+    return accessToken.value;
+}
+
+// Run an Apicalypse query against an IGDB endpoint, renewing the token once if it was rejected
+async function igdbRequest(endpoint, buildQuery, retry = true) {
+    const client = createIGDBClient(IGDB_CLIENT_ID, await getAccessToken(), {
+        baseURL: IGDB_BASE_URL,
+        timeout: REQUEST_TIMEOUT_MS
+    });
+
+    try {
+        const response = await buildQuery(client).request(endpoint);
+        return response.data;
+    } catch (error) {
+        if (retry && error.response?.status === 401) {
+            accessToken = null;
+            return igdbRequest(endpoint, buildQuery, false);
+        }
+        throw error;
+    }
+}
+
+// Bring an IGDB game into the shape stored in the library
+function toMetadata(igdbGame) {
+    const companies = igdbGame.involved_companies || [];
+    const companyNames = filter => companies
+        .filter(filter)
+        .map(company => company.company?.name)
+        .filter(Boolean);
+
+    return {
+        igdbId: igdbGame.id,
+        summary: igdbGame.summary || '',
+        genres: (igdbGame.genres || []).map(genre => genre.name).filter(Boolean),
+        releaseYear: igdbGame.first_release_date
+            ? new Date(igdbGame.first_release_date * 1000).getUTCFullYear()
+            : null,
+        developers: companyNames(company => company.developer),
+        publishers: companyNames(company => company.publisher),
+        rating: typeof igdbGame.total_rating === 'number' ? Math.round(igdbGame.total_rating) : null
+    };
+}
+
+/**
+ * Look up a game's summary, genres, release year, companies and rating on IGDB
+ * @param {string} gameName - Name of the game to search for
+ * @returns {Promise<Object|null>} - Metadata or null if not configured or not found
+ */
+export async function fetchIgdbMetadata(gameName) {
+    if (!isIgdbConfigured() || !gameName) return null;
+
+    const cacheKey = gameName.toLowerCase();
+    if (metadataCache.has(cacheKey)) {
+        return metadataCache.get(cacheKey);
+    }
+
+    try {
+        const results = await igdbRequest('/games', client => client
+            .fields(GAME_FIELDS)
+            .search(gameName.replace(/"/g, ''))
+            .limit(5));
+
+        if (!Array.isArray(results) || results.length === 0) {
+            metadataCache.set(cacheKey, null);
+            return null;
+        }
+
+        // Prefer an exact name match over IGDB's first hit
+        const match = results.find(result => result.name?.toLowerCase() === cacheKey) || results[0];
+        const metadata = toMetadata(match);
+        metadataCache.set(cacheKey, metadata);
+        return metadata;
+    } catch (error) {
+        console.error(`Error fetching IGDB metadata for ${gameName}:`, error.response?.status || error.message);
+        return null;
+    }
+}
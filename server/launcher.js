@@ -0,0 +1,208 @@
+import {execFile} from 'child_process';
+import {promisify} from 'util';
+import {dirname, basename} from 'path';
+import fs from 'fs/promises';
+import {readConfig} from './config.js';
+import {getGame} from './library.js';
+import {spawnGame, trackSteamApp, isRunning} from './processes.js';
+import {findSteamGameByPath, findSteamLibraries} from './steam.js';
+import {resolveProfile, buildLaunchCommand, profileEnv} from './profiles.js';
+import {resolveTarget} from './targets.js';
+import {resolveRunner, ensurePrefix, buildRunnerCommand} from './runners.js';
+import {isInsideDirectory} from './assets.js';
+import {detectExecutableType} from './executables.js';
+
+/**
+ * Games are launched by library ID only. The executable comes from the library,
+ * never from the client, and is only run when it lies inside a configured
+ * directory or a Steam library. Commands are spawned with argument arrays, no shell.
+ */
+
+const execFileAsync = promisify(execFile);
+
+// Directories games may be launched from, with symlinks resolved
+async function allowedRoots() {
+    const config = await readConfig();
+    const candidates = [
+        ...(Array.isArray(config.directories) ? config.directories : []),
+        ...(config.steamLibrary !== false ? await findSteamLibraries() : [])
+    ];
+
+    const roots = [];
+    for (const candidate of candidates) {
+        try {
+            roots.push(await fs.realpath(candidate));
+        } catch (error) {
+            // Directory is not there right now
+        }
+    }
+    return roots;
+}
+
+/**
+ * Check that a file lies inside a configured directory or a Steam library
+ * @param {string} filePath - File to check
+ * @returns {Promise<string|null>} - Real path of the file, or null if it is not allowed
+ */
+export async function resolveAllowedPath(filePath) {
+    let realPath;
+    try {
+        realPath = await fs.realpath(filePath);
+    } catch (error) {
+        return null;
+    }
+
+    const roots = await allowedRoots();
+    return roots.some(root => isInsideDirectory(root, realPath)) ? realPath : null;
+}
+
+// Ask Steam to start an app; xdg-open returns once Steam got the URL
+async function launchSteamGame(game, steamGame, profile) {
+    if (!/^\d+$/.test(String(steamGame.appId))) {
+        return {success: false, error: 'Invalid Steam app ID'};
+    }
+
+    // Steam applies its own launch options, only the profile's arguments can be passed on
+    const url = profile.args.length > 0
+        ? `steam://run/${steamGame.appId}//${encodeURIComponent(profile.args.join(' '))}/`
+        : `steam://rungameid/${steamGame.appId}`;
+
+    console.log(`Launching Steam game: ${steamGame.name} (AppID: ${steamGame.appId})`);
+    await execFileAsync('xdg-open', [url]);
+    const processInfo = trackSteamApp(game.id, String(steamGame.appId));
+    return {
+        success: true,
+        type: 'steam',
+        appId: steamGame.appId,
+        name: steamGame.name,
+        profile: profile.id,
+        process: processInfo
+    };
+}
+
+/**
+ * Tell how a game is launched, for showing it before it is started
+ * @param {Object} game - Library entry
+ * @returns {Promise<{type: string, runner: string|null}>} - Type is steam, wine, proton, desktop or native
+ */
+export async function describeLaunch(game) {
+    if (game.source === 'steam' || await findSteamGameByPath(game.path)) {
+        return {type: 'steam', runner: null};
+    }
+    if (game.path?.endsWith('.desktop')) {
+        return {type: 'desktop', runner: null};
+    }
+
+    const fileType = await detectExecutableType(game.path).catch(() => null);
+    if (fileType === 'pe') {
+        const runner = await resolveRunner(game, await readConfig());
+        return {type: runner?.type || 'wine', runner: runner?.name || null};
+    }
+    return {type: 'native', runner: null};
+}
+
+/**
+ * Open a game's folder in the desktop's file manager
+ * @param {Object} game - Library entry
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function openGameFolder(game) {
+    const folder = game.installPath && await resolveAllowedPath(game.installPath);
+    if (!folder) {
+        return {success: false, error: 'Game folder is not inside a configured game directory'};
+    }
+
+    try {
+        await execFileAsync('xdg-open', [folder]);
+        return {success: true};
+    } catch (error) {
+        console.error(`Error opening ${folder}:`, error.message);
+        return {success: false, error: error.message};
+    }
+}
+
+/**
+ * Launch a game from the library
+ * @param {string} gameId - Library ID of the game
+ * @param {string} [profileId] - Launch profile to use, the game's default if omitted
+ * @param {string} [targetId] - Launch target to start, the game's executable if omitted
+ * @returns {Promise<{success: boolean, error?: string}>} - Result of the launch attempt
+ */
+export async function launchGame(gameId, profileId, targetId) {
+    try {
+        if (isRunning(gameId)) {
+            return {success: false, error: 'Game is already running'};
+        }
+
+        const game = await getGame(gameId);
+        if (!game) {
+            return {success: false, error: 'Game not found'};
+        }
+        if (game.missing) {
+            return {success: false, error: 'Game is no longer on disk'};
+        }
+        const profile = resolveProfile(game, profileId);
+
+        // Games imported from Steam always launch through Steam, others are checked by path
+        const steamGame = game.source === 'steam'
+            ? {appId: game.appId, name: game.name}
+            : await findSteamGameByPath(game.path);
+        if (steamGame) {
+            return await launchSteamGame(game, steamGame, profile);
+        }
+
+        const target = resolveTarget(game, targetId);
+        const gamePath = await resolveAllowedPath(target.path);
+        if (!gamePath) {
+            console.warn(`Refusing to launch ${target.path}: not inside a game directory`);
+            return {success: false, error: 'Game executable is not inside a configured game directory'};
+        }
+
+        const stats = await fs.stat(gamePath);
+        if (!stats.isFile()) {
+            return {success: false, error: 'Game executable is not a file'};
+        }
+
+        const fileType = await detectExecutableType(gamePath);
+        const gameDir = dirname(gamePath);
+
+        // Profiles may move the working directory within the game folder, not out of it
+        const gameFolder = (game.installPath && await resolveAllowedPath(game.installPath)) || gameDir;
+
+        // Scanned executables are sometimes unpacked without their executable bit
+        if (fileType !== 'pe' && !gamePath.endsWith('.desktop') && (stats.mode & 0o111) === 0) {
+            await fs.chmod(gamePath, stats.mode | 0o755);
+        }
+
+        let type;
+        let launch;
+        if (fileType === 'pe') {
+            // Windows executable, run it with the game's Wine or Proton in its own prefix
+            const runner = await resolveRunner(game, await readConfig());
+            if (!runner) {
+                return {success: false, error: 'No Wine or Proton installation found'};
+            }
+            const prefix = await ensurePrefix(game);
+            const wine = await buildRunnerCommand(runner, gamePath, prefix);
+
+            console.log(`Running ${basename(gamePath)} with ${runner.name} in ${prefix}`);
+            type = runner.type;
+            launch = await buildLaunchCommand(profile, wine.command, [...wine.args, ...target.args], gameDir, gameFolder);
+            launch.env = {...wine.env, ...launch.env};
+        } else if (gamePath.endsWith('.desktop')) {
+            // Linux desktop entry, it has its own command line so only the environment applies
+            type = 'desktop';
+            launch = {command: 'xdg-open', args: [gamePath], cwd: gameDir, env: profileEnv(profile)};
+        } else {
+            // Linux native game or script, anything else is tried directly as a last resort
+            type = 'native';
+            launch = await buildLaunchCommand(profile, gamePath, target.args, gameDir, gameFolder);
+        }
+
+        const processInfo = await spawnGame(gameId, launch.command, launch.args, {type, cwd: launch.cwd, env: launch.env});
+        return {success: true, type: processInfo.type, profile: profile.id, target: target.id, process: processInfo};
+    } catch (error) {
+        console.error('Error launching game:', error);
+        return {success: false, error: error.message};
+    }
+}
@@ -0,0 +1,490 @@
+import {createHash} from 'crypto';
+import {EventEmitter} from 'events';
+import {join} from 'path';
+import fs from 'fs/promises';
+import {DATA_DIR, readConfig} from './config.js';
+import {listGameFolders, scanGameFolder, scanSteamApp} from './scanner.js';
+import {listSteamApps, isSteamTool, findSteamGameByPath, readSteamPlaytime} from './steam.js';
+import {cacheArtwork} from './artwork.js';
+import {applyOverrides, detectedValues} from './overrides.js';
+
+// Library file path, stored next to config.json
+export const LIBRARY_FILE = join(DATA_DIR, 'library.json');
+
+const LIBRARY_VERSION = 1;
+
+// Emits 'change' with {type, game, source} whenever a scan adds, updates, loses or removes a game
+export const libraryEvents = new EventEmitter();
+
+// Number of play sessions kept per game; total playtime covers all of them
+const MAX_SESSIONS = 200;
+
+// In-memory copy of the library, keyed by game ID
+let games = null;
+
+// Pending write, so concurrent saves never interleave
+let saveQueue = Promise.resolve();
+
+// Scan currently in progress, shared by concurrent callers
+let currentScan = null;
+let lastScan = null;
+
+/**
+ * Build a stable game ID from the library directory and the game folder
+ * @param {string} dirPath - Configured library directory
+ * @param {string} folderName - Game folder inside dirPath
+ * @returns {string} - ID that stays the same across scans and restarts
+ */
+export function makeGameId(dirPath, folderName) {
+    const slug = folderName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const hash = createHash('sha1').update(`${dirPath}\0${folderName}`).digest('hex').substring(0, 10);
+    return slug ? `${slug}-${hash}` : hash;
+}
+
+// Load the library from disk on first use
+async function loadLibrary() {
+    if (games) return games;
+
+    try {
+        const data = JSON.parse(await fs.readFile(LIBRARY_FILE, 'utf-8'));
+        games = data.games && typeof data.games === 'object' ? data.games : {};
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading library, starting with an empty one:', error);
+        }
+        games = {};
+    }
+
+    return games;
+}
+
+// Write the library to disk, replacing the old file atomically
+function saveLibrary() {
+    const save = saveQueue.then(async () => {
+        const tmpFile = `${LIBRARY_FILE}.tmp`;
+        const data = {version: LIBRARY_VERSION, games};
+        await fs.writeFile(tmpFile, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+        await fs.rename(tmpFile, LIBRARY_FILE);
+    }).catch(error => {
+        console.error('Error saving library:', error);
+        throw error;
+    });
+    // A failed save must not stop the ones queued after it
+    saveQueue = save.catch(() => {});
+    return save;
+}
+
+/**
+ * Get all games in the library
+ * @returns {Promise<Object[]>} - Games, including ones marked as missing
+ */
+export async function getGames() {
+    const library = await loadLibrary();
+    return Object.values(library);
+}
+
+/**
+ * Get a single game from the library
+ * @param {string} id - Game ID
+ * @returns {Promise<Object|null>} - Game or null if not found
+ */
+export async function getGame(id) {
+    const library = await loadLibrary();
+    return library[id] || null;
+}
+
+/**
+ * Merge changes into a game and persist them
+ * @param {string} id - Game ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} - Updated game or null if not found
+ */
+export async function updateGame(id, changes) {
+    const library = await loadLibrary();
+    if (!library[id]) return null;
+
+    library[id] = {...library[id], ...changes, id};
+    await saveLibrary();
+    return library[id];
+}
+
+/**
+ * Replace the user overrides of a game and show them in place of the detected values
+ * @param {string} id - Game ID
+ * @param {Object} overrides - Checked overrides, see mergeOverrides
+ * @returns {Promise<Object|null>} - Updated game or null if not found
+ */
+export async function setGameOverrides(id, overrides) {
+    const library = await loadLibrary();
+    const existing = library[id];
+    if (!existing) return null;
+
+    library[id] = await withCachedArtwork(applyOverrides({...existing, overrides}), existing);
+    await saveLibrary();
+    libraryEvents.emit('change', {type: 'updated', game: library[id], source: 'edit'});
+    return library[id];
+}
+
+/**
+ * Mark a game as a favorite or take the mark off again
+ * @param {string} id - Game ID
+ * @param {boolean} favorite
+ * @returns {Promise<Object|null>} - Updated game or null if not found
+ */
+export async function setGameFavorite(id, favorite) {
+    const library = await loadLibrary();
+    if (!library[id]) return null;
+
+    library[id] = {...library[id], favorite};
+    await saveLibrary();
+    libraryEvents.emit('change', {type: 'updated', game: library[id], source: 'edit'});
+    return library[id];
+}
+
+/**
+ * Record a finished play session and add it to the game's total playtime
+ * @param {string} id - Game ID
+ * @param {Object} session
+ * @param {string} session.start - ISO start time
+ * @param {string} session.end - ISO end time
+ * @param {string} session.type - Launch type (steam, wine, native, ...)
+ * @returns {Promise<Object|null>} - Updated game or null if not found
+ */
+export async function recordSession(id, {start, end, type}) {
+    const library = await loadLibrary();
+    const game = library[id];
+    if (!game) return null;
+
+    const duration = Math.max(0, Math.round((new Date(end) - new Date(start)) / 1000));
+    const sessions = [...(game.sessions || []), {start, end, duration, type}].slice(-MAX_SESSIONS);
+
+    library[id] = {
+        ...game,
+        sessions,
+        playtime: (game.playtime || 0) + duration,
+        lastPlayed: game.lastPlayed && game.lastPlayed > start ? game.lastPlayed : start
+    };
+    await saveLibrary();
+    return library[id];
+}
+
+/**
+ * Total playtime of a game in seconds.
+ * Steam's own count already includes the sessions we tracked, so the larger one is the total.
+ * @param {Object} game - Library entry
+ * @returns {number}
+ */
+export function totalPlaytime(game) {
+    return Math.max(game.playtime || 0, game.steamPlaytime || 0);
+}
+
+/**
+ * Get the state of the current or last scan
+ * @returns {{scanning: boolean, lastScan: Object|null}}
+ */
+export function getScanStatus() {
+    return {scanning: currentScan !== null, lastScan};
+}
+
+/**
+ * Rescan all configured directories and update the library.
+ * Folders that did not change since the last scan are skipped unless force is set.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Rescan every folder
+ * @returns {Promise<{added: number, updated: number, missing: number, total: number}>} - Scan summary
+ */
+export function rescanLibrary({force = false} = {}) {
+    if (!currentScan) {
+        currentScan = runScan(force).finally(() => {
+            currentScan = null;
+        });
+    }
+    return currentScan;
+}
+
+/**
+ * Rescan a single game folder, e.g. after the watcher saw it change
+ * @param {string} dirPath - Configured library directory
+ * @param {string} folderName - Game folder inside dirPath
+ * @returns {Promise<{type: string, game: Object}|null>} - The change, or null if nothing changed
+ */
+export async function rescanFolder(dirPath, folderName) {
+    const library = await loadLibrary();
+    const id = makeGameId(dirPath, folderName);
+    const now = new Date().toISOString();
+    let folder = null;
+
+    try {
+        const stats = await fs.stat(join(dirPath, folderName));
+        if (stats.isDirectory()) {
+            folder = {name: folderName, mtimeMs: stats.mtimeMs};
+        }
+    } catch (error) {
+        // Folder was removed
+    }
+
+    let type;
+    if (folder) {
+        if (await isSteamFolder(dirPath, folderName)) return null;
+        type = await applyFolderScan(library, dirPath, folder, {force: true, now});
+    } else if (library[id] && !library[id].missing) {
+        library[id] = {...library[id], missing: true, updated: now};
+        type = 'missing';
+    }
+
+    if (!type) return null;
+
+    await saveLibrary();
+    const change = {type, game: library[id], source: 'folder'};
+    libraryEvents.emit('change', change);
+    return change;
+}
+
+/**
+ * Rescan a single game, e.g. from its detail page
+ * @param {string} id - Game ID
+ * @returns {Promise<Object|null>} - Game after the scan or null if not found
+ */
+export async function rescanGame(id) {
+    const library = await loadLibrary();
+    const game = library[id];
+    if (!game) return null;
+
+    if (game.source !== 'steam') {
+        if (game.libraryDir && game.directory) {
+            await rescanFolder(game.libraryDir, game.directory);
+        }
+        return library[id];
+    }
+
+    const app = (await listSteamApps()).find(app => String(app.appId) === String(game.appId));
+    const now = new Date().toISOString();
+    let type = null;
+
+    if (app) {
+        type = await applySteamApp(library, app, {force: true, now, steamPlaytime: await readSteamPlaytime()});
+    } else if (!game.missing) {
+        library[id] = {...game, missing: true, updated: now};
+        type = 'missing';
+    }
+
+    if (type) {
+        await saveLibrary();
+        libraryEvents.emit('change', {type, game: library[id], source: 'folder'});
+    }
+    return library[id];
+}
+
+// Steam apps come from their manifests, and tools such as Proton are no games at all
+async function isSteamFolder(dir, folderName) {
+    const config = await readConfig();
+    return config.steamLibrary !== false && Boolean(await findSteamGameByPath(join(dir, folderName)));
+}
+
+// Scan one folder into the library, returning 'added', 'updated', 'missing' or null if unchanged
+async function applyFolderScan(library, dir, folder, {force, now}) {
+    const id = makeGameId(dir, folder.name);
+    const existing = library[id];
+
+    // Unchanged folders keep their entry as is
+    if (!force && existing && !existing.missing && existing.mtimeMs === folder.mtimeMs) {
+        return null;
+    }
+
+    const detected = await scanGameFolder(dir, folder.name);
+    if (!detected) {
+        if (existing && !existing.missing) {
+            library[id] = {...existing, missing: true, updated: now};
+            return 'missing';
+        }
+        return null;
+    }
+
+    return storeDetected(library, id, {...detected, libraryDir: dir, mtimeMs: folder.mtimeMs}, now);
+}
+
+// Scan one installed Steam app into the library, same results as applyFolderScan
+async function applySteamApp(library, app, {force, now, steamPlaytime}) {
+    const id = `steam-${app.appId}`;
+    const existing = library[id];
+    const manifestState = `${app.lastUpdated}:${app.stateFlags}:${app.sizeOnDisk}`;
+    const stats = steamPlaytime.get(String(app.appId));
+
+    // Unchanged manifests keep their entry, only Steam's playtime may have moved on
+    if (!force && existing && !existing.missing && existing.manifestState === manifestState) {
+        if (!stats || (existing.steamPlaytime === stats.playtime && existing.steamLastPlayed === stats.lastPlayed)) {
+            return null;
+        }
+        library[id] = withSteamPlaytime(existing, stats);
+        return 'updated';
+    }
+
+    const detected = await scanSteamApp(app);
+    const type = await storeDetected(library, id, {...detected, libraryDir: app.libraryPath, manifestState}, now);
+    if (stats) {
+        library[id] = withSteamPlaytime(library[id], stats);
+    }
+    return type;
+}
+
+// Merge the playtime Steam recorded into a game, its last played date counts if it is newer
+function withSteamPlaytime(game, {playtime, lastPlayed}) {
+    return {
+        ...game,
+        steamPlaytime: playtime,
+        steamLastPlayed: lastPlayed,
+        lastPlayed: [game.lastPlayed, lastPlayed].filter(Boolean).sort().pop() || null
+    };
+}
+
+// Merge detected data into a new or existing entry, returning 'added' or 'updated'
+async function storeDetected(library, id, detected, now) {
+    const existing = library[id];
+
+    // What the user set by hand stays, the scan only refreshes the detected values
+    if (existing) {
+        library[id] = await withCachedArtwork(applyOverrides({
+            ...existing,
+            ...detected,
+            missing: false,
+            updated: now
+        }, detectedValues(detected)), existing);
+        return 'updated';
+    }
+
+    library[id] = await withCachedArtwork({
+        id,
+        ...detected,
+        lastPlayed: null,
+        playtime: 0,
+        added: now,
+        updated: now,
+        missing: false
+    });
+    return 'added';
+}
+
+/**
+ * Steam games found through a configured directory before the Steam library was imported
+ * hand their play history to the Steam entry and are removed.
+ * @returns {Promise<Object[]>} - Removed entries
+ */
+async function mergeSteamDuplicates(library) {
+    const removed = [];
+
+    for (const game of Object.values(library)) {
+        if (game.source === 'steam' || !game.installPath) continue;
+
+        const app = game.appId ? {appId: game.appId} : await findSteamGameByPath(game.installPath);
+        const steamGame = app && library[`steam-${app.appId}`];
+        if (!steamGame) continue;
+
+        const sessions = [...(game.sessions || []), ...(steamGame.sessions || [])]
+            .sort((a, b) => a.start.localeCompare(b.start))
+            .slice(-MAX_SESSIONS);
+
+        library[steamGame.id] = {
+            ...steamGame,
+            sessions,
+            playtime: (steamGame.playtime || 0) + (game.playtime || 0),
+            lastPlayed: [steamGame.lastPlayed, game.lastPlayed].filter(Boolean).sort().pop() || null,
+            added: [steamGame.added, game.added].filter(Boolean).sort()[0]
+        };
+        delete library[game.id];
+        removed.push(game);
+    }
+
+    return removed;
+}
+
+// Copy detected artwork into the local cache and point the game at the cached copies
+async function withCachedArtwork(game, existing) {
+    const sources = game.artworkSources || {};
+
+    // Nothing detected this time (offline or no API key), keep what we had
+    if (Object.keys(sources).length === 0) {
+        return existing
+            ? {...game, icon: existing.icon, artwork: existing.artwork, artworkSources: existing.artworkSources}
+            : game;
+    }
+
+    const artwork = {};
+    for (const [type, source] of Object.entries(sources)) {
+        // Fall back to the remote URL if the download failed
+        artwork[type] = await cacheArtwork(game.id, type, source) || (/^https?:\/\//.test(source) ? source : null);
+    }
+
+    return {...game, icon: artwork.cover || existing?.icon || '', artwork, artworkSources: sources};
+}
+
+async function runScan(force) {
+    const library = await loadLibrary();
+    const config = await readConfig();
+    const directories = Array.isArray(config.directories) ? config.directories : [];
+    const summary = {added: 0, updated: 0, missing: 0, total: 0};
+    const seen = new Set();
+    const now = new Date().toISOString();
+    const steamEnabled = config.steamLibrary !== false;
+
+    if (directories.length === 0 && !steamEnabled) {
+        console.warn('No game directories configured');
+    }
+
+    // Every installed Steam game, straight from the app manifests
+    if (steamEnabled) {
+        const apps = (await listSteamApps()).filter(app => !isSteamTool(app));
+        const steamPlaytime = await readSteamPlaytime();
+        console.log(`Found ${apps.length} Steam games`);
+
+        for (const app of apps) {
+            const id = `steam-${app.appId}`;
+            seen.add(id);
+
+            const type = await applySteamApp(library, app, {force, now, steamPlaytime});
+            if (type) {
+                summary[type]++;
+                libraryEvents.emit('change', {type, game: library[id], source: 'scan'});
+            }
+        }
+    }
+
+    for (const dir of directories) {
+        console.log(`Scanning directory: ${dir}`);
+        const folders = await listGameFolders(dir);
+
+        for (const folder of folders) {
+            if (await isSteamFolder(dir, folder.name)) continue;
+
+            const id = makeGameId(dir, folder.name);
+            seen.add(id);
+
+            const type = await applyFolderScan(library, dir, folder, {force, now});
+            if (type) {
+                summary[type]++;
+                libraryEvents.emit('change', {type, game: library[id], source: 'scan'});
+            }
+        }
+    }
+
+    if (steamEnabled) {
+        for (const game of await mergeSteamDuplicates(library)) {
+            libraryEvents.emit('change', {type: 'removed', game, source: 'scan'});
+        }
+    }
+
+    // Anything we did not see this time is gone from disk
+    for (const game of Object.values(library)) {
+        if (!seen.has(game.id) && !game.missing) {
+            library[game.id] = {...game, missing: true, updated: now};
+            summary.missing++;
+            libraryEvents.emit('change', {type: 'missing', game: library[game.id], source: 'scan'});
+        }
+    }
+
+    summary.total = Object.values(library).filter(game => !game.missing).length;
+    await saveLibrary();
+
+    lastScan = {...summary, finished: new Date().toISOString()};
+    console.log(`Scan finished: ${summary.added} added, ${summary.updated} updated, ${summary.missing} missing`);
+    return summary;
+}
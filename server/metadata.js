@@ -0,0 +1,196 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {searchGameOnSteamGridDB, getGameCover} from './steamgriddb.js';
+import {fetchIgdbMetadata} from './igdb.js';
+import {findSteamGameByPath, findSteamArtwork} from './steam.js';
+
+/**
+ * Metadata comes from providers, each filling some fields of a game:
+ *
+ *     {
+ *         id: 'steamgriddb',
+ *         fields: ['name', 'cover', 'sgdbId'],
+ *         fetch: async (context) => ({name, cover, sgdbId})
+ *     }
+ *
+ * For every field, the providers are asked in the order configured in
+ * `metadataPriority` until one has a value. Providers only run when one of their
+ * fields is still missing, and at most once per game. Values from a sidecar file
+ * in the game folder always win.
+ *
+ * The context a provider gets:
+ *     name       - Name to search for, the resolved name once `name` is known
+ *     folderName - Game folder name
+ *     gameDir    - Game folder
+ *     files      - Files in the game folder
+ *     source     - 'directory' or 'steam'
+ *     appId      - Steam app ID, for games imported from Steam
+ */
+
+// Fields in the order they are resolved; `name` comes first so lookups search for it
+export const METADATA_FIELDS = [
+    'name',
+    'appId',
+    'description',
+    'cover',
+    'hero',
+    'logo',
+    'icon',
+    'summary',
+    'genres',
+    'releaseYear',
+    'developers',
+    'publishers',
+    'rating',
+    'igdbId',
+    'sgdbId'
+];
+
+// Order used for fields without their own entry in metadataPriority
+export const DEFAULT_PRIORITY = ['steam', 'local', 'igdb', 'steamgriddb'];
+
+const providers = new Map();
+
+/**
+ * Add a metadata provider, replacing one with the same ID
+ * @param {Object} provider - Provider with id, fields and fetch
+ */
+export function registerProvider(provider) {
+    providers.set(provider.id, provider);
+}
+
+/**
+ * IDs of the registered providers
+ * @returns {string[]}
+ */
+export function getProviderIds() {
+    return [...providers.keys()];
+}
+
+function hasValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== '';
+}
+
+// Providers to ask for a field, in priority order
+function priorityFor(field, priority = {}) {
+    const order = Array.isArray(priority[field]) ? priority[field]
+        : Array.isArray(priority.default) ? priority.default
+            : DEFAULT_PRIORITY;
+    return order.filter(id => providers.has(id));
+}
+
+/**
+ * Collect the metadata of a game from the sidecar and the providers
+ * @param {Object} context - What is known about the game, see above
+ * @param {Object} [priority] - Provider order per field plus a `default` order
+ * @param {Object} [sidecar] - Values from the game's sidecar file
+ * @returns {Promise<Object>} - Resolved fields
+ */
+export async function resolveMetadata(context, priority, sidecar = {}) {
+    const results = new Map();
+    const metadata = {};
+    const lookupContext = {...context};
+
+    // Run each provider once, a failing provider just has no values
+    const run = (provider) => {
+        if (!results.has(provider.id)) {
+            results.set(provider.id, Promise.resolve()
+                .then(() => provider.fetch(lookupContext))
+                .then(values => values || {})
+                .catch(error => {
+                    console.error(`Metadata provider ${provider.id} failed for ${lookupContext.name}:`, error.message);
+                    return {};
+                }));
+        }
+        return results.get(provider.id);
+    };
+
+    for (const field of METADATA_FIELDS) {
+        if (hasValue(sidecar[field])) {
+            metadata[field] = sidecar[field];
+        } else {
+            for (const id of priorityFor(field, priority)) {
+                const provider = providers.get(id);
+                if (!provider.fields.includes(field)) continue;
+
+                const value = (await run(provider))[field];
+                if (hasValue(value)) {
+                    metadata[field] = value;
+                    break;
+                }
+            }
+        }
+
+        // Later lookups search for the resolved name
+        if (field === 'name' && metadata.name) {
+            lookupContext.name = metadata.name;
+        }
+    }
+
+    return metadata;
+}
+
+// Steam's local data: the app's name and the artwork in its librarycache
+registerProvider({
+    id: 'steam',
+    fields: ['name', 'appId', 'cover', 'hero', 'logo', 'icon'],
+    async fetch({appId, name, gameDir}) {
+        const steamGame = appId ? {appId, name} : await findSteamGameByPath(gameDir);
+        if (!steamGame) return {};
+
+        return {
+            name: steamGame.name,
+            appId: steamGame.appId,
+            ...await findSteamArtwork(steamGame.appId)
+        };
+    }
+});
+
+// Text files that ship with many games
+const DESCRIPTION_FILES = {
+    'description.txt': (content) => content.trim(),
+    'about.txt': (content) => content.trim(),
+    'readme.txt': (content) => content.split('\n')[0].trim()
+};
+
+registerProvider({
+    id: 'local',
+    fields: ['description'],
+    async fetch({gameDir, files = []}) {
+        for (const [file, processor] of Object.entries(DESCRIPTION_FILES)) {
+            if (!files.includes(file)) continue;
+            try {
+                const content = await fs.readFile(path.join(gameDir, file), 'utf-8');
+                return {description: processor(content).substring(0, 200)};
+            } catch (err) {
+                console.error(`Error reading ${file} in ${gameDir}:`, err.message);
+            }
+        }
+        return {};
+    }
+});
+
+registerProvider({
+    id: 'igdb',
+    fields: ['description', 'summary', 'genres', 'releaseYear', 'developers', 'publishers', 'rating', 'igdbId'],
+    async fetch({name}) {
+        const metadata = await fetchIgdbMetadata(name);
+        return metadata ? {...metadata, description: metadata.summary} : {};
+    }
+});
+
+registerProvider({
+    id: 'steamgriddb',
+    fields: ['name', 'cover', 'sgdbId'],
+    async fetch({name}) {
+        const sgdbGame = await searchGameOnSteamGridDB(name);
+        if (!sgdbGame) return {};
+
+        return {
+            sgdbId: sgdbGame.id,
+            name: sgdbGame.name,
+            cover: await getGameCover(sgdbGame.id)
+        };
+    }
+});
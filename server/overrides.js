@@ -0,0 +1,187 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {resolveInside} from './sidecar.js';
+import {isInsideDirectory} from './assets.js';
+import {readImageExtension} from './artwork.js';
+
+/**
+ * Fields a user has set by hand. Scans keep what they detect in `detected`
+ * and never touch `overrides`, so the game shows the override until it is reset.
+ *
+ *     {
+ *         name: 'Portal',
+ *         description: 'A puzzle game with portals.',
+ *         cover: 'https://cdn2.steamgriddb.com/grid/...png',
+ *         executable: 'bin/portal.sh',
+ *         tags: ['puzzle'],
+ *         sgdbId: 1234
+ *     }
+ *
+ * Artwork (`cover`, `hero`, `logo` and `icon`) is an http(s) URL or an image in the
+ * game folder, stored by its real path; `executable` a file in the game folder and
+ * `sgdbId` the SteamGridDB game picked by hand.
+ */
+
+export class OverrideError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OverrideError';
+    }
+}
+
+const ARTWORK_FIELDS = ['cover', 'hero', 'logo', 'icon'];
+
+export const OVERRIDE_FIELDS = ['name', 'description', ...ARTWORK_FIELDS, 'executable', 'tags', 'sgdbId'];
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Pick the detected values of the fields that can be overridden
+ * @param {Object} game - Scanned game data
+ * @returns {Object}
+ */
+export function detectedValues(game) {
+    const artwork = Object.fromEntries(ARTWORK_FIELDS.map(type => [type, game.artworkSources?.[type] || null]));
+    return {
+        name: game.name,
+        description: game.description || '',
+        ...artwork,
+        path: game.path,
+        tags: game.tags || [],
+        sgdbId: game.sgdbId || null
+    };
+}
+
+/**
+ * Show a game's overrides in place of the detected values
+ * @param {Object} game - Library entry
+ * @param {Object} [detected] - Detected values from a new scan, the stored ones if omitted
+ * @returns {Object} - Game with the overrides applied and the detected values kept in `detected`
+ */
+export function applyOverrides(game, detected = game.detected || detectedValues(game)) {
+    const overrides = game.overrides || {};
+    const artworkSources = {...game.artworkSources};
+    for (const type of ARTWORK_FIELDS) {
+        const source = overrides[type] ?? detected[type];
+        if (source) {
+            artworkSources[type] = source;
+        } else {
+            delete artworkSources[type];
+        }
+    }
+
+    return {
+        ...game,
+        name: overrides.name ?? detected.name,
+        description: overrides.description ?? detected.description,
+        path: overrides.executable ? path.join(game.installPath, overrides.executable) : detected.path,
+        tags: overrides.tags ?? detected.tags,
+        sgdbId: overrides.sgdbId ?? detected.sgdbId,
+        artworkSources,
+        detected,
+        overrides
+    };
+}
+
+// Trim a text field, throwing if it is not a string
+function text(field, value, maxLength) {
+    if (typeof value !== 'string') {
+        throw new OverrideError(`${field} must be a string`);
+    }
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) {
+        throw new OverrideError(`${field} must be at most ${maxLength} characters`);
+    }
+    return trimmed;
+}
+
+// Real path of an image in the game folder; symlinks must not lead out of it
+async function findImage(gameDir, source) {
+    const file = resolveInside(gameDir, source);
+    if (!file) return null;
+
+    try {
+        const [root, realFile] = await Promise.all([fs.realpath(gameDir), fs.realpath(file)]);
+        if (!isInsideDirectory(root, realFile) || !(await fs.stat(realFile)).isFile()) return null;
+        return await readImageExtension(realFile) ? realFile : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Check one override value, returning it in its stored form
+async function normalizeField(field, value, game) {
+    switch (field) {
+        case 'name': {
+            const name = text('Name', value, MAX_NAME_LENGTH);
+            if (!name) throw new OverrideError('Name must not be empty');
+            return name;
+        }
+        case 'description':
+            return text('Description', value, MAX_DESCRIPTION_LENGTH);
+        case 'cover':
+        case 'hero':
+        case 'logo':
+        case 'icon': {
+            const label = field[0].toUpperCase() + field.substring(1);
+            const source = text(label, value, 2000);
+            if (/^https?:\/\//i.test(source)) return source;
+
+            const file = game.installPath && await findImage(game.installPath, source);
+            if (!file) {
+                throw new OverrideError(`${label} must be an http(s) URL or an image in the game folder`);
+            }
+            return file;
+        }
+        case 'executable': {
+            if (game.source === 'steam') {
+                throw new OverrideError('Steam games always launch through Steam');
+            }
+            const file = resolveInside(game.installPath, text('Executable', value, 1000));
+            if (!file || !await fs.stat(file).then(stats => stats.isFile(), () => false)) {
+                throw new OverrideError('Executable must be a file in the game folder');
+            }
+            return path.relative(game.installPath, file);
+        }
+        case 'tags': {
+            if (!Array.isArray(value)) throw new OverrideError('Tags must be a list');
+            const tags = [...new Set(value.map(tag => text('Tag', tag, MAX_TAG_LENGTH)).filter(Boolean))];
+            if (tags.length > MAX_TAGS) throw new OverrideError(`A game can have at most ${MAX_TAGS} tags`);
+            return tags;
+        }
+        case 'sgdbId':
+            if (!Number.isInteger(value) || value <= 0) {
+                throw new OverrideError('SteamGridDB ID must be a positive number');
+            }
+            return value;
+    }
+}
+
+/**
+ * Merge a patch into a game's overrides; a null value resets the field to what was detected
+ * @param {Object} game - Library entry
+ * @param {Object} patch - Override values by field
+ * @returns {Promise<Object>} - The new overrides
+ * @throws {OverrideError} - If a field is unknown or its value is invalid
+ */
+export async function mergeOverrides(game, patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        throw new OverrideError('Expected an object of fields');
+    }
+
+    const overrides = {...game.overrides};
+    for (const [field, value] of Object.entries(patch)) {
+        if (!OVERRIDE_FIELDS.includes(field)) {
+            throw new OverrideError(`${field} cannot be edited`);
+        }
+        if (value === null) {
+            delete overrides[field];
+        } else {
+            overrides[field] = await normalizeField(field, value, game);
+        }
+    }
+    return overrides;
+}
@@ -0,0 +1,25 @@
+import {processEvents} from './processes.js';
+import {recordSession} from './library.js';
+
+/**
+ * Record a play session in the library whenever a tracked game exits
+ */
+export function initPlaytimeTracking() {
+    processEvents.on('exit', async (info) => {
+        // A Steam game that never showed up was not played
+        if (info.type === 'steam' && !info.pid) return;
+
+        try {
+            const game = await recordSession(info.gameId, {
+                start: info.startedAt,
+                end: info.endedAt,
+                type: info.type
+            });
+            if (game) {
+                console.log(`Recorded session for ${game.name}, total playtime ${game.playtime}s`);
+            }
+        } catch (error) {
+            console.error(`Error recording session for ${info.gameId}:`, error);
+        }
+    });
+}
@@ -0,0 +1,223 @@
+import {spawn} from 'child_process';
+import {EventEmitter} from 'events';
+import fs from 'fs/promises';
+
+// Emits 'start' and 'exit' with the process entry of a game
+export const processEvents = new EventEmitter();
+
+// Running games, keyed by game ID
+const running = new Map();
+
+// Most recent exits, newest first
+const recentExits = [];
+const MAX_RECENT_EXITS = 20;
+
+// How long a Steam game gets to show up after the steam:// URL was opened
+const STEAM_START_GRACE_MS = 90 * 1000;
+const STEAM_POLL_INTERVAL_MS = 3000;
+
+// How long a game gets to quit after SIGTERM before it is killed
+const STOP_TIMEOUT_MS = 10 * 1000;
+
+// Public view of a process entry, without timers and handles
+function toInfo(entry) {
+    return {
+        gameId: entry.gameId,
+        pid: entry.pid,
+        type: entry.type,
+        startedAt: entry.startedAt,
+        endedAt: entry.endedAt || null,
+        exitCode: entry.exitCode ?? null,
+        signal: entry.signal || null,
+        error: entry.error || null
+    };
+}
+
+// Move a game from running to the recent exits list
+function finish(gameId, {exitCode = null, signal = null, error = null} = {}) {
+    const entry = running.get(gameId);
+    if (!entry) return;
+
+    clearInterval(entry.pollTimer);
+    clearTimeout(entry.killTimer);
+    running.delete(gameId);
+
+    Object.assign(entry, {exitCode, signal, error, endedAt: new Date().toISOString()});
+    recentExits.unshift(toInfo(entry));
+    recentExits.splice(MAX_RECENT_EXITS);
+
+    console.log(`Game ${gameId} exited (code: ${exitCode}, signal: ${signal})`);
+    processEvents.emit('exit', toInfo(entry));
+}
+
+/**
+ * Spawn a game detached from the server and track it until it exits
+ * @param {string} gameId - Library ID of the game
+ * @param {string} command - Executable to run
+ * @param {string[]} [args] - Arguments for the executable
+ * @param {Object} [options]
+ * @param {string} [options.type='native'] - Launch type (native, wine, ...)
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.env] - Extra environment variables
+ * @returns {Promise<Object>} - Process info once the process has started
+ */
+export function spawnGame(gameId, command, args = [], {type = 'native', cwd, env} = {}) {
+    if (running.has(gameId)) {
+        return Promise.reject(new Error('Game is already running'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, {
+            detached: true,
+            stdio: 'ignore',
+            cwd,
+            env: env ? {...process.env, ...env} : process.env
+        });
+
+        child.once('error', error => {
+            if (running.has(gameId)) {
+                finish(gameId, {error: error.message});
+            } else {
+                reject(error);
+            }
+        });
+
+        child.once('spawn', () => {
+            const entry = {gameId, pid: child.pid, type, startedAt: new Date().toISOString(), child};
+            running.set(gameId, entry);
+            console.log(`Started game ${gameId} (PID: ${child.pid})`);
+            processEvents.emit('start', toInfo(entry));
+            resolve(toInfo(entry));
+        });
+
+        child.once('exit', (exitCode, signal) => finish(gameId, {exitCode, signal}));
+
+        // Don't keep the server alive because of a running game
+        child.unref();
+    });
+}
+
+// Find the PIDs of processes that Steam started for an app
+async function findSteamAppPids(appId) {
+    const needles = [`SteamAppId=${appId}\0`, `SteamGameId=${appId}\0`];
+    const pids = [];
+    let entries;
+
+    try {
+        entries = await fs.readdir('/proc');
+    } catch (error) {
+        // No procfs on this platform
+        return pids;
+    }
+
+    for (const name of entries) {
+        if (!/^\d+$/.test(name)) continue;
+        try {
+            const environ = await fs.readFile(`/proc/${name}/environ`, 'latin1');
+            if (needles.some(needle => environ.includes(needle))) {
+                pids.push(Number(name));
+            }
+        } catch (error) {
+            // Process is gone or belongs to another user
+        }
+    }
+
+    return pids;
+}
+
+/**
+ * Track a Steam game that was started through a steam:// URL.
+ * Steam starts the game itself, so its processes are found by the SteamAppId in their environment.
+ * @param {string} gameId - Library ID of the game
+ * @param {string} appId - Steam app ID
+ * @returns {Object} - Process info of the tracked game
+ */
+export function trackSteamApp(gameId, appId) {
+    if (running.has(gameId)) {
+        throw new Error('Game is already running');
+    }
+
+    const entry = {gameId, pid: null, type: 'steam', appId, startedAt: new Date().toISOString(), seen: false};
+    running.set(gameId, entry);
+    processEvents.emit('start', toInfo(entry));
+
+    const startedAt = Date.now();
+    entry.pollTimer = setInterval(async () => {
+        const pids = await findSteamAppPids(appId);
+
+        if (pids.length > 0) {
+            entry.pid = pids[0];
+            entry.seen = true;
+        } else if (entry.seen) {
+            finish(gameId);
+        } else if (Date.now() - startedAt > STEAM_START_GRACE_MS) {
+            finish(gameId, {error: 'Game process was not detected'});
+        }
+    }, STEAM_POLL_INTERVAL_MS);
+    entry.pollTimer.unref();
+
+    return toInfo(entry);
+}
+
+// Send a signal to a process group, falling back to the single process
+function signalProcess(pid, signal) {
+    try {
+        process.kill(-pid, signal);
+    } catch (error) {
+        try {
+            process.kill(pid, signal);
+        } catch (innerError) {
+            // Already gone
+        }
+    }
+}
+
+/**
+ * Ask a running game to quit, killing it if it does not exit in time
+ * @param {string} gameId - Library ID of the game
+ * @returns {Promise<boolean>} - False if the game was not running
+ */
+export async function stopGame(gameId) {
+    const entry = running.get(gameId);
+    if (!entry) return false;
+
+    const pids = entry.type === 'steam' ? await findSteamAppPids(entry.appId) : [entry.pid];
+    if (pids.length === 0) {
+        finish(gameId);
+        return true;
+    }
+
+    console.log(`Stopping game ${gameId} (PIDs: ${pids.join(', ')})`);
+    pids.forEach(pid => signalProcess(pid, 'SIGTERM'));
+
+    clearTimeout(entry.killTimer);
+    entry.killTimer = setTimeout(() => {
+        if (running.get(gameId) === entry) {
+            console.log(`Game ${gameId} did not exit in time, killing it`);
+            pids.forEach(pid => signalProcess(pid, 'SIGKILL'));
+        }
+    }, STOP_TIMEOUT_MS);
+    entry.killTimer.unref();
+
+    return true;
+}
+
+/**
+ * Check whether a game is running
+ * @param {string} gameId - Library ID of the game
+ * @returns {boolean}
+ */
+export function isRunning(gameId) {
+    return running.has(gameId);
+}
+
+/**
+ * Get the running games and the most recent exits
+ * @returns {{running: Object[], recent: Object[]}}
+ */
+export function getRunningGames() {
+    return {
+        running: [...running.values()].map(toInfo),
+        recent: [...recentExits]
+    };
+}
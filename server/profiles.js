@@ -0,0 +1,374 @@
+import {isAbsolute, join, resolve, delimiter} from 'path';
+import fs from 'fs/promises';
+import {isInsideDirectory} from './assets.js';
+
+/**
+ * Launch profiles describe how a game is started. A game can have several,
+ * e.g. "Default" and "Benchmark", and the Play button picks one of them.
+ *
+ *     {
+ *         id: 'windowed',
+ *         name: 'Windowed',
+ *         args: ['-windowed'],
+ *         env: {DXVK_HUD: 'fps'},
+ *         cwd: '',
+ *         wrappers: [['gamemoderun'], ['mangohud', '--dlsym']]
+ *     }
+ *
+ * Wrappers run outermost first, so the game above runs as
+ * `gamemoderun mangohud --dlsym <game> -windowed`. Only the known tools in
+ * WRAPPER_TOOLS can be wrappers, found on PATH, and they only get options, so a
+ * profile cannot start anything but the game. The working directory stays inside
+ * the game folder and variables that load code into the game are refused.
+ */
+
+export class LaunchProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LaunchProfileError';
+    }
+}
+
+// Used when a game has no profiles of its own
+export const DEFAULT_PROFILE = Object.freeze({
+    id: 'default',
+    name: 'Default',
+    args: [],
+    env: {},
+    cwd: '',
+    wrappers: []
+});
+
+const MAX_PROFILES = 20;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Programs a profile can wrap the game in. Tools marked with values take option
+// values, e.g. `gamescope -W 1920`; the others only take flags and run the rest
+// of the command line as is.
+const WRAPPER_TOOLS = {
+    gamemoderun: {values: false},
+    mangohud: {values: false},
+    'prime-run': {values: false},
+    'obs-gamecapture': {values: false},
+    gamescope: {values: true},
+    strangle: {values: true},
+    taskset: {values: true},
+    nice: {values: true},
+    ionice: {values: true}
+};
+
+// Variables that make the game or its wrappers load or run other code
+const DENIED_ENV_NAMES = new Set([
+    'PATH', 'BASH_ENV', 'ENV', 'IFS', 'SHELLOPTS', 'GCONV_PATH',
+    'PYTHONPATH', 'PYTHONHOME', 'PYTHONSTARTUP', 'PERL5LIB', 'PERL5OPT', 'PERLLIB', 'RUBYLIB', 'RUBYOPT',
+    'NODE_OPTIONS', 'NODE_PATH', 'WINELOADER', 'WINESERVER', 'WINEDLLPATH',
+    'VK_LAYER_PATH', 'VK_ADD_LAYER_PATH', 'VK_ICD_FILENAMES', 'VK_DRIVER_FILES', 'LIBGL_DRIVERS_PATH',
+    '__EGL_VENDOR_LIBRARY_FILENAMES', '__EGL_VENDOR_LIBRARY_DIRS',
+    'GST_PLUGIN_PATH', 'GST_PLUGIN_SYSTEM_PATH', 'QT_PLUGIN_PATH', 'GTK_PATH', 'GIO_MODULE_DIR'
+]);
+
+// Option values such as `1920`, `0-3`, `0x3` or `1920x1080`
+const NUMERIC_VALUE_PATTERN = /^(?=.*\d)[\dx.,:%+-]+$/i;
+const WORD_VALUE_PATTERN = /^\w[\w.,:%+-]*$/;
+const OPTION_PATTERN = /^--?[A-Za-z0-9][\w-]*(=[\w.,:%+-]*)?$/;
+
+/**
+ * Split a command line into arguments, honouring single and double quotes and backslashes.
+ * Nothing is expanded, the result is passed to the game as is.
+ * @param {string} text - Command line, e.g. `-windowed "-name=Some Name"`
+ * @returns {string[]}
+ * @throws {LaunchProfileError} - If a quote is not closed
+ */
+export function splitArgs(text) {
+    const args = [];
+    let current = '';
+    let inArg = false;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            } else if (char === '\\' && quote === '"' && i + 1 < text.length) {
+                current += text[++i];
+            } else {
+                current += char;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            inArg = true;
+        } else if (char === '\\' && i + 1 < text.length) {
+            current += text[++i];
+            inArg = true;
+        } else if (/\s/.test(char)) {
+            if (inArg) args.push(current);
+            current = '';
+            inArg = false;
+        } else {
+            current += char;
+            inArg = true;
+        }
+    }
+
+    if (quote) {
+        throw new LaunchProfileError(`Missing closing ${quote} in "${text}"`);
+    }
+    if (inArg) args.push(current);
+
+    return args;
+}
+
+// Accept arguments as an array or as a command line string
+function toArgs(value, field) {
+    if (value === undefined || value === null || value === '') return [];
+    if (typeof value === 'string') return splitArgs(value);
+    if (Array.isArray(value) && value.every(arg => typeof arg === 'string')) return [...value];
+    throw new LaunchProfileError(`${field} must be a string or a list of strings`);
+}
+
+// Find a program the way a shell would, without running anything
+async function findOnPath(name) {
+    for (const dir of (process.env.PATH || '').split(delimiter).filter(isAbsolute)) {
+        const candidate = join(dir, name);
+        try {
+            await fs.access(candidate, fs.constants.X_OK);
+            if ((await fs.stat(candidate)).isFile()) return candidate;
+        } catch (error) {
+            // Not in this directory
+        }
+    }
+    return null;
+}
+
+/**
+ * Check that a wrapper is a known tool with options only, nothing that could start
+ * another program in place of the game
+ * @param {string[]} wrapper - Wrapper command, e.g. `['gamescope', '-W', '1920', '--']`
+ * @returns {Promise<string>} - Path of the tool on PATH
+ * @throws {LaunchProfileError} - If the wrapper is not allowed or not installed
+ */
+export async function checkWrapper(wrapper) {
+    const [name, ...args] = wrapper;
+    const tool = Object.hasOwn(WRAPPER_TOOLS, name) ? WRAPPER_TOOLS[name] : null;
+    if (!tool) {
+        throw new LaunchProfileError(`"${name}" cannot be a wrapper, use one of ${Object.keys(WRAPPER_TOOLS).join(', ')}`);
+    }
+
+    for (const [index, arg] of args.entries()) {
+        // gamescope and others want the game after `--`
+        if (arg === '--' && index === args.length - 1) continue;
+        if (OPTION_PATTERN.test(arg) || NUMERIC_VALUE_PATTERN.test(arg)) continue;
+
+        // Words are option values, e.g. `gamescope -F fsr`, and must not name a program
+        const afterOption = index > 0 && OPTION_PATTERN.test(args[index - 1]) && !args[index - 1].includes('=');
+        if (tool.values && afterOption && WORD_VALUE_PATTERN.test(arg) && !await findOnPath(arg)) continue;
+
+        throw new LaunchProfileError(`Wrapper ${name} does not accept the argument "${arg}"`);
+    }
+
+    const toolPath = await findOnPath(name);
+    if (!toolPath) {
+        throw new LaunchProfileError(`Wrapper ${name} is not installed`);
+    }
+    return toolPath;
+}
+
+/**
+ * Check that a profile may set an environment variable
+ * @param {string} name - Variable name
+ * @throws {LaunchProfileError} - If the name is invalid or loads code into the game
+ */
+export function checkEnvName(name) {
+    if (!ENV_NAME_PATTERN.test(name)) {
+        throw new LaunchProfileError(`Invalid environment variable name "${name}"`);
+    }
+    if (DENIED_ENV_NAMES.has(name) || name.startsWith('LD_')) {
+        throw new LaunchProfileError(`Environment variable ${name} cannot be set by a launch profile`);
+    }
+}
+
+// Accept wrappers as a list of commands, each one an argument array or a command line
+function toWrappers(value) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        throw new LaunchProfileError('Wrappers must be a list of commands');
+    }
+
+    return value
+        .map(wrapper => toArgs(wrapper, 'A wrapper'))
+        .filter(wrapper => wrapper.length > 0);
+}
+
+function toEnv(value) {
+    if (value === undefined || value === null) return {};
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new LaunchProfileError('Environment must be an object of names and values');
+    }
+
+    const env = {};
+    for (const [name, envValue] of Object.entries(value)) {
+        checkEnvName(name);
+        if (typeof envValue !== 'string') {
+            throw new LaunchProfileError(`Environment variable ${name} must be a string`);
+        }
+        env[name] = envValue;
+    }
+    return env;
+}
+
+// Build an ID from the profile name that is unique within the game
+function makeProfileId(name, taken) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    let id = base;
+    for (let i = 2; taken.has(id); i++) {
+        id = `${base}-${i}`;
+    }
+    return id;
+}
+
+// The folder itself counts as inside
+function isInsideFolder(folder, path) {
+    const root = resolve(folder);
+    const target = resolve(path);
+    return target === root || isInsideDirectory(root, target);
+}
+
+// Working directories are relative to the game's executable, absolute ones must be in the game folder
+function toCwd(value, name, gameFolder) {
+    const cwd = (value || '').trim();
+    if (cwd.includes('\0')) {
+        throw new LaunchProfileError(`Working directory of "${name}" is not a valid path`);
+    }
+    if (isAbsolute(cwd) && !(gameFolder && isInsideFolder(gameFolder, cwd))) {
+        throw new LaunchProfileError(`Working directory of "${name}" must be inside the game folder`);
+    }
+    return cwd;
+}
+
+/**
+ * Validate launch profiles sent by a client and bring them into their stored shape.
+ * The default can be given by ID or, for profiles without an ID yet, with `default: true`.
+ * @param {Object[]} profiles - Profiles to check
+ * @param {string} [defaultProfile] - ID of the profile the Play button uses
+ * @param {string} [gameFolder] - Folder of the game, working directories must stay inside it
+ * @returns {Promise<{launchProfiles: Object[], defaultProfile: string|null}>}
+ * @throws {LaunchProfileError} - If a profile is invalid
+ */
+export async function normalizeProfiles(profiles, defaultProfile, gameFolder) {
+    if (!Array.isArray(profiles)) {
+        throw new LaunchProfileError('Profiles must be a list');
+    }
+    if (profiles.length > MAX_PROFILES) {
+        throw new LaunchProfileError(`A game can have at most ${MAX_PROFILES} profiles`);
+    }
+
+    const ids = new Set();
+    let flaggedDefault = null;
+    const launchProfiles = profiles.map((profile, index) => {
+        if (!profile || typeof profile !== 'object') {
+            throw new LaunchProfileError(`Profile ${index + 1} is not an object`);
+        }
+
+        const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+        if (!name) {
+            throw new LaunchProfileError(`Profile ${index + 1} needs a name`);
+        }
+        if (profile.cwd !== undefined && profile.cwd !== null && typeof profile.cwd !== 'string') {
+            throw new LaunchProfileError(`Working directory of "${name}" must be a path`);
+        }
+
+        // Keep existing IDs so the default profile survives renames
+        const wantedId = typeof profile.id === 'string' && /^[\w-]+$/.test(profile.id) ? profile.id : null;
+        const id = wantedId && !ids.has(wantedId) ? wantedId : makeProfileId(name, ids);
+        ids.add(id);
+        if (profile.default === true) {
+            flaggedDefault = id;
+        }
+
+        return {
+            id,
+            name,
+            args: toArgs(profile.args, `Arguments of "${name}"`),
+            env: toEnv(profile.env),
+            cwd: toCwd(profile.cwd, name, gameFolder),
+            wrappers: toWrappers(profile.wrappers)
+        };
+    });
+
+    for (const profile of launchProfiles) {
+        for (const wrapper of profile.wrappers) {
+            await checkWrapper(wrapper);
+        }
+    }
+
+    return {
+        launchProfiles,
+        defaultProfile: ids.has(defaultProfile) ? defaultProfile : flaggedDefault || launchProfiles[0]?.id || null
+    };
+}
+
+/**
+ * Pick the profile to launch a game with
+ * @param {Object} game - Library entry
+ * @param {string} [profileId] - Requested profile, the game's default if omitted
+ * @returns {Object} - Launch profile
+ * @throws {LaunchProfileError} - If the requested profile does not exist
+ */
+export function resolveProfile(game, profileId) {
+    const profiles = game?.launchProfiles || [];
+
+    if (profileId) {
+        const profile = profiles.find(p => p.id === profileId);
+        if (profile) return profile;
+        if (profileId === DEFAULT_PROFILE.id && profiles.length === 0) return DEFAULT_PROFILE;
+        throw new LaunchProfileError(`Launch profile "${profileId}" not found`);
+    }
+
+    return profiles.find(p => p.id === game?.defaultProfile) || profiles[0] || DEFAULT_PROFILE;
+}
+
+/**
+ * Environment of a profile, checked again at launch for profiles saved before the checks existed
+ * @param {Object} profile - Launch profile
+ * @returns {Object}
+ * @throws {LaunchProfileError} - If a variable cannot be set by a profile
+ */
+export function profileEnv(profile) {
+    Object.keys(profile.env || {}).forEach(checkEnvName);
+    return profile.env || {};
+}
+
+/**
+ * Apply a profile to a command. Wrappers are looked up on PATH and the working
+ * directory must resolve to a folder inside the game folder.
+ * @param {Object} profile - Launch profile
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Arguments for the executable, the profile's arguments follow them
+ * @param {string} gameDir - Folder of the executable, the default working directory
+ * @param {string} [gameFolder] - Real path of the game folder, the working directory must stay inside it
+ * @returns {Promise<{command: string, args: string[], cwd: string, env: Object}>}
+ * @throws {LaunchProfileError} - If a wrapper, variable or the working directory is not allowed
+ */
+export async function buildLaunchCommand(profile, command, args, gameDir, gameFolder = gameDir) {
+    const wrappers = [];
+    for (const wrapper of profile.wrappers) {
+        wrappers.push([await checkWrapper(wrapper), ...wrapper.slice(1)]);
+    }
+    const [wrapped, ...wrappedArgs] = [...wrappers.flat(), command, ...args, ...profile.args];
+
+    let cwd = gameDir;
+    if (profile.cwd) {
+        try {
+            cwd = await fs.realpath(isAbsolute(profile.cwd) ? profile.cwd : join(gameDir, profile.cwd));
+        } catch (error) {
+            throw new LaunchProfileError(`Working directory ${profile.cwd} does not exist`);
+        }
+        if (!isInsideFolder(gameFolder, cwd)) {
+            throw new LaunchProfileError(`Working directory ${profile.cwd} is not inside the game folder`);
+        }
+    }
+
+    return {command: wrapped, args: wrappedArgs, cwd, env: profileEnv(profile)};
+}
@@ -0,0 +1,224 @@
+import {join, delimiter, isAbsolute, resolve} from 'path';
+import {homedir} from 'os';
+import fs from 'fs/promises';
+import {isInsideDirectory} from './assets.js';
+import {findSteamInstallations, findSteamLibraries} from './steam.js';
+
+/**
+ * Runners start Windows games on Linux: the system Wine, Wine builds installed by
+ * Lutris or Heroic, and Proton versions from Steam.
+ *
+ *     {id: 'steam:Proton 8.0', name: 'Proton 8.0', type: 'proton', source: 'steam', path: '.../proton'}
+ *
+ * Every Windows game gets its own prefix in $XDG_DATA_HOME/gameWebUI/prefixes/<gameId>,
+ * so DLL overrides and installed runtimes of one game do not break another.
+ */
+
+export class WinePrefixError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WinePrefixError';
+    }
+}
+
+// Prefixes grow to gigabytes, they live with the user's data rather than in the checkout
+const DATA_HOME = isAbsolute(process.env.XDG_DATA_HOME || '')
+    ? process.env.XDG_DATA_HOME
+    : join(homedir(), '.local', 'share');
+
+// Wine prefixes of games that do not set their own, the only place prefixes are created
+export const PREFIX_DIR = join(DATA_HOME, 'gameWebUI', 'prefixes');
+
+// Runner folders only change when a runner is installed, don't walk them on every launch
+const RUNNERS_CACHE_MS = 30 * 1000;
+
+let runnersCache = null;
+
+async function isExecutable(path) {
+    try {
+        await fs.access(path, fs.constants.X_OK);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function listFolders(dirPath) {
+    try {
+        const entries = await fs.readdir(dirPath, {withFileTypes: true});
+        return entries.filter(entry => entry.isDirectory() || entry.isSymbolicLink()).map(entry => entry.name);
+    } catch (error) {
+        return [];
+    }
+}
+
+// Wine installed through the system package manager, found on the PATH
+async function findSystemWine() {
+    for (const dir of (process.env.PATH || '').split(delimiter).filter(Boolean)) {
+        const path = join(dir, 'wine');
+        if (await isExecutable(path)) {
+            return [{id: 'system:wine', name: 'System Wine', type: 'wine', source: 'system', path}];
+        }
+    }
+    return [];
+}
+
+// Wine builds that keep their binary in <folder>/bin/wine, as Lutris and Heroic install them
+async function findWineBuilds(dirPath, source) {
+    const runners = [];
+    for (const name of await listFolders(dirPath)) {
+        const path = join(dirPath, name, 'bin', 'wine');
+        if (await isExecutable(path)) {
+            runners.push({id: `${source}:${name}`, name, type: 'wine', source, path});
+        }
+    }
+    return runners;
+}
+
+// Proton versions, each folder holds a proton script
+async function findProtonBuilds(dirPath, source, filter = () => true) {
+    const runners = [];
+    for (const name of (await listFolders(dirPath)).filter(filter)) {
+        const path = join(dirPath, name, 'proton');
+        if (await isExecutable(path)) {
+            runners.push({id: `${source}:${name}`, name, type: 'proton', source, path});
+        }
+    }
+    return runners;
+}
+
+/**
+ * Find the Wine and Proton versions installed on this machine
+ * @returns {Promise<Object[]>} - Runners, the system Wine first
+ */
+export async function findRunners() {
+    if (runnersCache && Date.now() - runnersCache.time < RUNNERS_CACHE_MS) {
+        return runnersCache.runners;
+    }
+
+    const homeDir = process.env.HOME || '';
+    const heroicDirs = [
+        join(homeDir, '.config/heroic/tools'),
+        join(homeDir, '.var/app/com.heroicgameslauncher.hgl/config/heroic/tools')
+    ];
+    const runners = [...await findSystemWine()];
+
+    for (const steamRoot of await findSteamInstallations()) {
+        runners.push(...await findProtonBuilds(join(steamRoot, 'compatibilitytools.d'), 'steam'));
+    }
+    for (const libraryPath of await findSteamLibraries()) {
+        runners.push(...await findProtonBuilds(join(libraryPath, 'steamapps', 'common'), 'steam',
+            name => name.startsWith('Proton')));
+    }
+
+    runners.push(...await findWineBuilds(join(homeDir, '.local/share/lutris/runners/wine'), 'lutris'));
+    runners.push(...await findWineBuilds(join(homeDir, '.var/app/net.lutris.Lutris/data/lutris/runners/wine'), 'lutris'));
+    for (const heroicDir of heroicDirs) {
+        runners.push(...await findWineBuilds(join(heroicDir, 'wine'), 'heroic'));
+        runners.push(...await findProtonBuilds(join(heroicDir, 'proton'), 'heroic'));
+    }
+
+    // The same build can be reachable through several paths
+    const unique = runners.filter((runner, index) => runners.findIndex(r => r.id === runner.id) === index);
+
+    runnersCache = {time: Date.now(), runners: unique};
+    return unique;
+}
+
+/**
+ * Pick the runner for a Windows game.
+ * The game's own choice wins over its directory's, which wins over the configured default.
+ * @param {Object} game - Library entry
+ * @param {Object} config - Current config
+ * @returns {Promise<Object|null>} - Runner or null if none is installed
+ */
+export async function resolveRunner(game, config) {
+    const runners = await findRunners();
+    const wanted = [
+        game?.runner,
+        config.directoryRunners?.[game?.libraryDir],
+        config.defaultRunner
+    ].filter(Boolean);
+
+    for (const id of wanted) {
+        const runner = runners.find(r => r.id === id);
+        if (runner) return runner;
+        console.warn(`Runner ${id} is not installed, falling back`);
+    }
+
+    return runners.find(r => r.id === 'system:wine') || runners[0] || null;
+}
+
+/**
+ * Check a Wine prefix picked for a game. Prefixes in PREFIX_DIR are created when
+ * needed; anywhere else the folder must already exist and be a prefix or empty,
+ * so a game never fills or creates an arbitrary folder.
+ * @param {string} prefix - Absolute path of the prefix
+ * @returns {Promise<string>} - Normalized path
+ * @throws {WinePrefixError} - If the prefix cannot be used
+ */
+export async function checkWinePrefix(prefix) {
+    if (typeof prefix !== 'string' || !isAbsolute(prefix) || prefix.includes('\0')) {
+        throw new WinePrefixError('Wine prefix must be an absolute path');
+    }
+
+    const resolved = resolve(prefix);
+    if (isInsideDirectory(PREFIX_DIR, resolved)) return resolved;
+
+    let entries;
+    try {
+        entries = await fs.readdir(resolved);
+    } catch (error) {
+        throw new WinePrefixError(`Wine prefix ${resolved} does not exist; new prefixes are only created in ${PREFIX_DIR}`);
+    }
+
+    // Wine prefixes have a registry, Proton's compatdata folders a pfx folder
+    if (entries.length > 0 && !entries.includes('system.reg') && !entries.includes('pfx')) {
+        throw new WinePrefixError(`${resolved} is not empty and not a Wine prefix`);
+    }
+    return resolved;
+}
+
+/**
+ * Get the Wine prefix of a game, creating its folder on first launch.
+ * Wine fills an empty prefix folder by itself when the game starts.
+ * @param {Object} game - Library entry
+ * @returns {Promise<string>} - Prefix path
+ * @throws {WinePrefixError} - If the game's own prefix cannot be used
+ */
+export async function ensurePrefix(game) {
+    const prefix = game.winePrefix ? await checkWinePrefix(game.winePrefix) : join(PREFIX_DIR, game.id);
+
+    try {
+        await fs.access(prefix);
+    } catch (error) {
+        console.log(`Creating Wine prefix for ${game.name}: ${prefix}`);
+        await fs.mkdir(prefix, {recursive: true});
+    }
+
+    return prefix;
+}
+
+/**
+ * Build the command that runs a Windows executable with a runner
+ * @param {Object} runner - Runner from findRunners
+ * @param {string} exePath - Windows executable
+ * @param {string} prefix - Wine prefix of the game
+ * @returns {Promise<{command: string, args: string[], env: Object}>}
+ */
+export async function buildRunnerCommand(runner, exePath, prefix) {
+    if (runner.type === 'proton') {
+        // Proton keeps its Wine prefix in <compat data>/pfx and wants to know where Steam is
+        const [steamRoot] = await findSteamInstallations();
+        return {
+            command: runner.path,
+            args: ['run', exePath],
+            env: {
+                STEAM_COMPAT_DATA_PATH: prefix,
+                ...(steamRoot ? {STEAM_COMPAT_CLIENT_INSTALL_PATH: steamRoot} : {})
+            }
+        };
+    }
+
+    return {command: runner.path, args: [exePath], env: {WINEPREFIX: prefix}};
+}
@@ -0,0 +1,251 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {readConfig} from './config.js';
+import {steamInstallState} from './steam.js';
+import {readSidecar} from './sidecar.js';
+import {resolveMetadata} from './metadata.js';
+import {findExecutableCandidates} from './executables.js';
+import {detectTargets} from './targets.js';
+
+// Ranked executables kept with a game, so the UI can offer them without a new search
+const STORED_CANDIDATES = 5;
+
+// Helper function to validate directory
+export async function validateDirectory(dirPath) {
+    try {
+        // Check if path is absolute
+        if (!path.isAbsolute(dirPath)) {
+            return {valid: false, error: 'Path must be absolute'};
+        }
+
+        // Check if directory exists and is accessible
+        try {
+            await fs.access(dirPath, fs.constants.R_OK | fs.constants.X_OK);
+            const stats = await fs.stat(dirPath);
+
+            if (!stats.isDirectory()) {
+                return {valid: false, error: 'Path is not a directory'};
+            }
+
+            return {valid: true};
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return {valid: false, error: 'Directory does not exist'};
+            } else if (err.code === 'EACCES') {
+                return {valid: false, error: 'Permission denied'};
+            }
+
+            console.error('Error accessing directory:', err);
+            return {valid: false, error: 'Error accessing directory'};
+        }
+    } catch (error) {
+        console.error('Error validating directory:', error);
+        return {valid: false, error: 'Error validating directory'};
+    }
+}
+
+// Folder sizes are walked on request and kept for a while
+const SIZE_CACHE_MS = 5 * 60 * 1000;
+const sizeCache = new Map();
+
+/**
+ * Total size of the files in a folder, without following symlinks
+ * @param {string} dirPath - Folder to measure
+ * @returns {Promise<number>} - Size in bytes
+ */
+export async function directorySize(dirPath) {
+    const cached = sizeCache.get(dirPath);
+    if (cached && cached.expires > Date.now()) {
+        return cached.size;
+    }
+
+    let size = 0;
+    const pending = [dirPath];
+    while (pending.length > 0) {
+        const dir = pending.pop();
+        let entries;
+        try {
+            entries = await fs.readdir(dir, {withFileTypes: true});
+        } catch (err) {
+            continue;
+        }
+
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                pending.push(entryPath);
+            } else if (entry.isFile()) {
+                size += (await fs.lstat(entryPath).catch(() => ({size: 0}))).size;
+            }
+        }
+    }
+
+    sizeCache.set(dirPath, {size, expires: Date.now() + SIZE_CACHE_MS});
+    return size;
+}
+
+/**
+ * List the game folders in a library directory
+ * @param {string} dirPath - Configured library directory
+ * @returns {Promise<Array<{name: string, mtimeMs: number}>>} - Folders with their modification time
+ */
+export async function listGameFolders(dirPath) {
+    try {
+        // Validate directory before scanning
+        const validation = await validateDirectory(dirPath);
+        if (!validation.valid) {
+            console.error(`Cannot scan directory ${dirPath}: ${validation.error}`);
+            return [];
+        }
+
+        const entries = await fs.readdir(dirPath, {withFileTypes: true});
+        const folders = [];
+
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+
+            try {
+                const stats = await fs.stat(path.join(dirPath, entry.name));
+                folders.push({name: entry.name, mtimeMs: stats.mtimeMs});
+            } catch (err) {
+                console.error(`Error reading game directory ${entry.name}:`, err);
+            }
+        }
+
+        return folders;
+    } catch (error) {
+        console.error(`Error scanning directory ${dirPath}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Detect the game inside a single folder of a library directory
+ * @param {string} dirPath - Configured library directory
+ * @param {string} folderName - Name of the game folder inside dirPath
+ * @returns {Promise<Object|null>} - Detected game data or null if the folder holds no game
+ */
+export async function scanGameFolder(dirPath, folderName) {
+    const gameDir = path.join(dirPath, folderName);
+    let gameFiles = [];
+
+    try {
+        gameFiles = await fs.readdir(gameDir);
+    } catch (err) {
+        console.error(`Error reading game directory ${gameDir}:`, err);
+        return null;
+    }
+
+    // The sidecar can name the executable, otherwise the best ranked one is used
+    const sidecar = await readSidecar(gameDir, gameFiles);
+    if (sidecar.executable && !await fs.access(path.join(gameDir, sidecar.executable)).then(() => true, () => false)) {
+        console.warn(`Executable ${sidecar.executable} from the sidecar of ${gameDir} does not exist`);
+        delete sidecar.executable;
+    }
+    const executable = await chooseExecutable(gameDir, folderName, sidecar.executable);
+    if (!executable) return null;
+
+    const metadata = await lookupMetadata({
+        name: formatGameName(folderName),
+        folderName,
+        gameDir,
+        files: gameFiles,
+        source: 'directory'
+    }, sidecar);
+
+    return {
+        ...toGameFields(metadata, sidecar),
+        path: path.join(gameDir, executable.path),
+        executableCandidates: executable.candidates,
+        executableUncertain: executable.uncertain,
+        detectedTargets: executable.targets,
+        directory: folderName,
+        installPath: gameDir,
+        installSize: await directorySize(gameDir),
+        source: 'directory'
+    };
+}
+
+/**
+ * Build the library entry for an app installed through Steam
+ * @param {Object} app - Parsed app manifest from listSteamApps
+ * @returns {Promise<Object>} - Detected game data
+ */
+export async function scanSteamApp(app) {
+    // Steam games always launch through Steam, a sidecar executable does not apply
+    const {executable, ...sidecar} = await readSidecar(app.installPath);
+
+    const metadata = await lookupMetadata({
+        name: app.name,
+        folderName: app.installDir,
+        gameDir: app.installPath,
+        source: 'steam',
+        appId: app.appId
+    }, sidecar);
+
+    return {
+        ...toGameFields(metadata, sidecar),
+        name: metadata.name || app.name,
+        path: app.installPath,
+        directory: app.installDir,
+        installPath: app.installPath,
+        source: 'steam',
+        appId: app.appId,
+        sizeOnDisk: app.sizeOnDisk,
+        installSize: Number(app.sizeOnDisk) || null,
+        installState: steamInstallState(app.stateFlags)
+    };
+}
+
+// Run the metadata providers in the configured order
+async function lookupMetadata(context, sidecar) {
+    const config = await readConfig();
+    const metadata = await resolveMetadata(context, config.metadataPriority, sidecar);
+    return {name: context.name, ...metadata};
+}
+
+// Shape resolved metadata into the fields stored in the library
+function toGameFields(metadata, sidecar) {
+    const {cover, hero, logo, icon, ...fields} = metadata;
+    const artworkSources = Object.fromEntries(
+        Object.entries({cover, hero, logo, icon}).filter(([, source]) => source)
+    );
+
+    return {
+        ...fields,
+        icon: '',
+        artworkSources,
+        description: fields.description || '',
+        tags: sidecar.tags || []
+    };
+}
+
+// Pick the executable of a game folder; null when there is none, or only helpers and installers
+async function chooseExecutable(gameDir, folderName, sidecarExecutable) {
+    const {candidates, confident} = await findExecutableCandidates(gameDir, folderName);
+    const stored = candidates
+        .slice(0, STORED_CANDIDATES)
+        .map(candidate => ({path: candidate.path, score: candidate.score, type: candidate.type, arch: candidate.arch}));
+
+    if (sidecarExecutable) {
+        const executable = path.normalize(sidecarExecutable);
+        return {path: executable, candidates: stored, uncertain: false, targets: detectTargets(candidates, executable)};
+    }
+    if (candidates.length === 0 || candidates[0].score <= 0) {
+        return null;
+    }
+    return {
+        path: candidates[0].path,
+        candidates: stored,
+        uncertain: !confident,
+        targets: detectTargets(candidates, candidates[0].path)
+    };
+}
+
+// Format game name for display
+function formatGameName(dirName) {
+    return dirName
+        .replace(/[_-]/g, ' ')
+        .replace(/\b\w/g, l => l.toUpperCase())
+        .trim();
+}
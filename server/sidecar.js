@@ -0,0 +1,156 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Sidecar files let users set a game's metadata by dropping a file into its folder.
+ * Their values always win over every metadata provider.
+ *
+ * game.json:
+ *
+ *     {
+ *         "name": "Portal",
+ *         "description": "A puzzle game with portals.",
+ *         "cover": "cover.png",
+ *         "executable": "bin/portal.sh",
+ *         "tags": ["puzzle", "valve"]
+ *     }
+ *
+ * game.nfo, the XML format Kodi uses for games:
+ *
+ *     <game>
+ *         <title>Portal</title>
+ *         <plot>A puzzle game with portals.</plot>
+ *         <thumb>cover.png</thumb>
+ *         <genre>Puzzle</genre>
+ *         <tag>valve</tag>
+ *     </game>
+ *
+ * Artwork can be a path inside the game folder or an http(s) URL. The executable
+ * must be inside the game folder.
+ */
+
+export const SIDECAR_FILES = ['game.json', 'game.nfo'];
+
+const ARTWORK_FIELDS = ['cover', 'hero', 'logo', 'icon'];
+
+// NFO elements and the fields they fill; repeated elements become lists
+const NFO_FIELDS = {
+    title: 'name',
+    plot: 'description',
+    thumb: 'cover',
+    fanart: 'hero',
+    clearlogo: 'logo',
+    executable: 'executable',
+    genre: 'genres',
+    tag: 'tags',
+    developer: 'developers',
+    publisher: 'publishers',
+    year: 'releaseYear'
+};
+
+const LIST_FIELDS = ['genres', 'tags', 'developers', 'publishers'];
+
+const XML_ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'"};
+
+function decodeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)]]>/g, '$1')
+        .replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+            }
+            return XML_ENTITIES[code.toLowerCase()] ?? entity;
+        })
+        .trim();
+}
+
+// Read the known elements of a <game> NFO, nothing more is needed from it
+function parseNfo(text) {
+    const data = {};
+
+    for (const [element, field] of Object.entries(NFO_FIELDS)) {
+        const pattern = new RegExp(`<${element}(?:\\s[^>]*)?>([\\s\\S]*?)</${element}>`, 'gi');
+        const values = [...text.matchAll(pattern)].map(match => decodeXml(match[1])).filter(Boolean);
+        if (values.length === 0) continue;
+
+        data[field] = LIST_FIELDS.includes(field) ? values : values[0];
+    }
+
+    return data;
+}
+
+/**
+ * Resolve a path relative to a game folder
+ * @param {string} gameDir - Game folder
+ * @param {string} relativePath - Path inside the folder
+ * @returns {string|null} - Absolute path, or null if it points outside the folder
+ */
+export function resolveInside(gameDir, relativePath) {
+    const resolved = path.resolve(gameDir, relativePath);
+    return resolved.startsWith(path.resolve(gameDir) + path.sep) ? resolved : null;
+}
+
+// Keep only values of the expected type, sidecars are written by hand
+function cleanSidecar(data, gameDir) {
+    const sidecar = {};
+    const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+    for (const field of ['name', 'description']) {
+        if (text(data[field])) sidecar[field] = text(data[field]);
+    }
+
+    for (const field of LIST_FIELDS) {
+        const values = Array.isArray(data[field]) ? data[field] : [data[field]];
+        const cleaned = values.map(text).filter(Boolean);
+        if (cleaned.length > 0) sidecar[field] = cleaned;
+    }
+
+    const year = parseInt(data.releaseYear, 10);
+    if (year > 1900 && year < 3000) sidecar.releaseYear = year;
+
+    for (const field of ARTWORK_FIELDS) {
+        const value = text(data[field]);
+        if (!value) continue;
+
+        const source = /^https?:\/\//i.test(value) ? value : resolveInside(gameDir, value);
+        if (source) {
+            sidecar[field] = source;
+        } else {
+            console.warn(`Ignoring ${field} outside the game folder in ${gameDir}`);
+        }
+    }
+
+    const executable = text(data.executable);
+    if (executable) {
+        const resolved = resolveInside(gameDir, executable);
+        if (resolved) {
+            sidecar.executable = path.relative(gameDir, resolved);
+        } else {
+            console.warn(`Ignoring executable outside the game folder in ${gameDir}`);
+        }
+    }
+
+    return sidecar;
+}
+
+/**
+ * Read the sidecar file of a game folder
+ * @param {string} gameDir - Game folder
+ * @param {string[]} [files] - Files in the folder, read from disk if omitted
+ * @returns {Promise<Object>} - Metadata from the sidecar, empty if there is none
+ */
+export async function readSidecar(gameDir, files) {
+    const names = files || await fs.readdir(gameDir).catch(() => []);
+    const file = SIDECAR_FILES.find(name => names.includes(name));
+    if (!file) return {};
+
+    try {
+        const content = await fs.readFile(path.join(gameDir, file), 'utf-8');
+        const data = file.endsWith('.json') ? JSON.parse(content) : parseNfo(content);
+        return data && typeof data === 'object' ? cleanSidecar(data, gameDir) : {};
+    } catch (error) {
+        console.error(`Error reading ${file} in ${gameDir}:`, error.message);
+        return {};
+    }
+}
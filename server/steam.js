@@ -0,0 +1,370 @@
+import {join, resolve, dirname, basename, sep} from 'path';
+import {readFile, readdir, access, realpath, constants} from 'fs/promises';
+import {parseVdf, vdfGet} from './vdf.js';
+
+// Parsed manifests are reused for this long, scans ask for them once per folder
+const STEAM_APPS_CACHE_MS = 30 * 1000;
+
+let steamAppsCache = null;
+
+// Places Steam gets installed to, including the Flatpak and snap packages
+function steamRootCandidates() {
+    const homeDir = process.env.HOME || process.env.USERPROFILE || '';
+    return [
+        join(homeDir, '.local/share/Steam'),
+        join(homeDir, '.steam/steam'),
+        join(homeDir, '.steam/root'),
+        join(homeDir, '.var/app/com.valvesoftware.Steam/.local/share/Steam'),
+        join(homeDir, '.var/app/com.valvesoftware.Steam/data/Steam'),
+        join(homeDir, 'snap/steam/common/.local/share/Steam'),
+        join(homeDir, 'Library/Application Support/Steam'),
+        'C:\\Program Files (x86)\\Steam',
+        'C:\\Program Files\\Steam'
+    ];
+}
+
+// Resolve symlinks so ~/.steam/steam and ~/.local/share/Steam count once, null if missing
+async function existingPath(path) {
+    try {
+        await access(path, constants.F_OK);
+        return await realpath(path);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Resolve symlinks in the part of a path that exists, keeping the rest as is
+async function resolveRealPath(path) {
+    const absolute = resolve(path);
+    try {
+        return await realpath(absolute);
+    } catch (error) {
+        const parent = dirname(absolute);
+        return parent === absolute ? absolute : join(await resolveRealPath(parent), basename(absolute));
+    }
+}
+
+/**
+ * Find the Steam installations on this machine
+ * @returns {Promise<string[]>} - Steam root directories that exist
+ */
+export async function findSteamInstallations() {
+    const roots = [];
+
+    for (const candidate of steamRootCandidates()) {
+        const path = await existingPath(candidate);
+        if (path && !roots.includes(path)) {
+            roots.push(path);
+        }
+    }
+
+    return roots;
+}
+
+// Read the library paths listed in a Steam installation's libraryfolders.vdf
+async function readLibraryFolders(steamRoot) {
+    const vdfPath = join(steamRoot, 'steamapps', 'libraryfolders.vdf');
+
+    try {
+        const data = parseVdf(await readFile(vdfPath, 'utf8'));
+        const folders = vdfGet(data, 'libraryfolders') || {};
+
+        return Object.entries(folders)
+            .filter(([key]) => /^\d+$/.test(key))
+            // Newer files have {"path": ...} blocks, older ones map the index to the path directly
+            .map(([, value]) => typeof value === 'string' ? value : vdfGet(value, 'path'))
+            .filter(Boolean);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading ${vdfPath}:`, error.message);
+        }
+        return [];
+    }
+}
+
+/**
+ * Find every Steam library folder on every drive
+ * @returns {Promise<string[]>} - Library folders that exist, each holding a steamapps directory
+ */
+export async function findSteamLibraries() {
+    const libraries = [];
+
+    for (const steamRoot of await findSteamInstallations()) {
+        const candidates = [steamRoot, ...await readLibraryFolders(steamRoot)];
+
+        for (const candidate of candidates) {
+            const path = await existingPath(candidate);
+            if (path && !libraries.includes(path)) {
+                libraries.push(path);
+            }
+        }
+    }
+
+    return libraries;
+}
+
+async function findSteamAppManifests(libraryPath) {
+    const manifestsPath = join(libraryPath, 'steamapps');
+    try {
+        const files = await readdir(manifestsPath, {withFileTypes: true});
+        return files
+            .filter(file => file.isFile() && file.name.startsWith('appmanifest_') && file.name.endsWith('.acf'))
+            .map(file => join(manifestsPath, file.name));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading Steam library ${libraryPath}:`, error.message);
+        }
+        return [];
+    }
+}
+
+/**
+ * Parse an appmanifest_<appid>.acf file
+ * @param {string} manifestPath - Path to the manifest
+ * @returns {Promise<Object|null>} - App info or null if the manifest is unreadable
+ */
+export async function parseAppManifest(manifestPath) {
+    try {
+        const data = parseVdf(await readFile(manifestPath, 'utf8'));
+        const appState = vdfGet(data, 'AppState');
+        const appId = vdfGet(appState, 'appid');
+        const name = vdfGet(appState, 'name');
+        const installDir = vdfGet(appState, 'installdir');
+
+        if (!appId || !name || !installDir) return null;
+
+        return {
+            appId,
+            name,
+            installDir,
+            manifestPath,
+            installPath: join(manifestPath, '..', 'common', installDir),
+            sizeOnDisk: Number(vdfGet(appState, 'SizeOnDisk')) || 0,
+            stateFlags: Number(vdfGet(appState, 'StateFlags')) || 0,
+            lastUpdated: Number(vdfGet(appState, 'LastUpdated')) || 0
+        };
+    } catch (err) {
+        console.error(`Error parsing manifest ${manifestPath}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * List the apps installed in all Steam libraries
+ * @returns {Promise<Object[]>} - Parsed app manifests
+ */
+export async function listSteamApps() {
+    if (steamAppsCache && Date.now() - steamAppsCache.time < STEAM_APPS_CACHE_MS) {
+        return steamAppsCache.apps;
+    }
+
+    const apps = [];
+    for (const libraryPath of await findSteamLibraries()) {
+        for (const manifestPath of await findSteamAppManifests(libraryPath)) {
+            const app = await parseAppManifest(manifestPath);
+            if (app) {
+                apps.push({...app, libraryPath});
+            }
+        }
+    }
+
+    steamAppsCache = {time: Date.now(), apps};
+    return apps;
+}
+
+// Apps that show up in steamapps but are not games
+const STEAM_TOOL_APP_IDS = new Set([
+    '228980',  // Steamworks Common Redistributables
+    '1070560', // Steam Linux Runtime 1.0 (scout)
+    '1391110', // Steam Linux Runtime 2.0 (soldier)
+    '1628350', // Steam Linux Runtime 3.0 (sniper)
+    '1493710', // Proton Experimental
+    '2180100', // Proton Hotfix
+    '1826330', // Proton EasyAntiCheat Runtime
+    '1161040'  // Proton BattlEye Runtime
+]);
+
+const STEAM_TOOL_NAME_PATTERNS = [
+    /^Proton\b/i,
+    /^Steam Linux Runtime\b/i,
+    /^Steamworks\b/i,
+    /redistributables?$/i
+];
+
+/**
+ * Check whether a Steam app is a runtime, compatibility tool or redistributable rather than a game
+ * @param {Object} app - Parsed app manifest
+ * @returns {boolean}
+ */
+export function isSteamTool(app) {
+    return STEAM_TOOL_APP_IDS.has(String(app.appId)) ||
+        STEAM_TOOL_NAME_PATTERNS.some(pattern => pattern.test(app.name));
+}
+
+// StateFlags bits from the app manifest
+const STATE_FULLY_INSTALLED = 4;
+const STATE_UPDATE_BITS = 2 | 256 | 512 | 1024 | 1048576;
+
+/**
+ * Describe the install state of a Steam app from its manifest StateFlags
+ * @param {number} stateFlags - StateFlags value
+ * @returns {string} - installed, updating or incomplete
+ */
+export function steamInstallState(stateFlags) {
+    if (stateFlags & STATE_UPDATE_BITS) return 'updating';
+    return stateFlags & STATE_FULLY_INSTALLED ? 'installed' : 'incomplete';
+}
+
+/**
+ * Find the Steam app a path belongs to
+ * @param {string} gamePath - Game folder or a file inside it
+ * @returns {Promise<Object|null>} - App info or null if the path is not inside a Steam app
+ */
+export async function findSteamGameByPath(gamePath) {
+    // Libraries are stored with symlinks resolved, so resolve the game path the same way
+    const normalizedGamePath = await resolveRealPath(gamePath);
+
+    for (const app of await listSteamApps()) {
+        // Check if the game path matches the install path or is inside it
+        const normalizedInstallPath = resolve(app.installPath);
+        if (normalizedGamePath === normalizedInstallPath || normalizedGamePath.startsWith(normalizedInstallPath + sep)) {
+            return app;
+        }
+    }
+
+    return null;
+}
+
+// Files Steam keeps in appcache/librarycache for each app
+const LIBRARY_CACHE_FILES = {
+    cover: ['library_600x900.jpg', 'library_600x900_2x.jpg'],
+    hero: ['library_hero.jpg'],
+    logo: ['logo.png'],
+    icon: ['icon.jpg']
+};
+
+// Find the first existing file among the candidates
+async function firstExisting(paths) {
+    for (const path of paths) {
+        try {
+            await access(path, constants.R_OK);
+            return path;
+        } catch (error) {
+            // Try the next one
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the artwork Steam has cached locally for an app.
+ * Older clients store <appid>_library_600x900.jpg, newer ones <appid>/library_600x900.jpg,
+ * sometimes one folder deeper.
+ * @param {string} appId - Steam app ID
+ * @returns {Promise<Object>} - Local file paths keyed by artwork type (cover, hero, logo, icon)
+ */
+export async function findSteamArtwork(appId) {
+    const artwork = {};
+    const steamPaths = await findSteamInstallations();
+
+    for (const steamPath of steamPaths) {
+        const cacheDir = join(steamPath, 'appcache', 'librarycache');
+        const appDir = join(cacheDir, String(appId));
+
+        // Hashed subfolders of the per-app folder
+        let subDirs = [];
+        try {
+            subDirs = (await readdir(appDir, {withFileTypes: true}))
+                .filter(entry => entry.isDirectory())
+                .map(entry => join(appDir, entry.name));
+        } catch (error) {
+            // Old layout, or Steam never cached this app
+        }
+
+        for (const [type, names] of Object.entries(LIBRARY_CACHE_FILES)) {
+            if (artwork[type]) continue;
+
+            const candidates = names.flatMap(name => [
+                join(cacheDir, `${appId}_${name}`),
+                join(appDir, name),
+                ...subDirs.map(dir => join(dir, name))
+            ]);
+            const found = await firstExisting(candidates);
+            if (found) {
+                artwork[type] = found;
+            }
+        }
+    }
+
+    return artwork;
+}
+
+/**
+ * Find the Steam accounts that have logged in on this machine
+ * @returns {Promise<Array<{id: string, path: string}>>} - Account IDs with their userdata folder
+ */
+export async function findSteamUsers() {
+    const users = [];
+
+    for (const steamRoot of await findSteamInstallations()) {
+        const userdataPath = join(steamRoot, 'userdata');
+        try {
+            const entries = await readdir(userdataPath, {withFileTypes: true});
+            for (const entry of entries) {
+                // "0" holds anonymous data, not an account
+                if (entry.isDirectory() && /^\d+$/.test(entry.name) && entry.name !== '0') {
+                    users.push({id: entry.name, path: join(userdataPath, entry.name)});
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error reading ${userdataPath}:`, error.message);
+            }
+        }
+    }
+
+    return users;
+}
+
+/**
+ * Read the playtime Steam recorded for each app from every user's localconfig.vdf.
+ * When several accounts played an app, the most recent one wins.
+ * @returns {Promise<Map<string, {playtime: number, lastPlayed: string|null}>>} - Playtime in seconds, keyed by app ID
+ */
+export async function readSteamPlaytime() {
+    const playtime = new Map();
+
+    for (const user of await findSteamUsers()) {
+        const configPath = join(user.path, 'config', 'localconfig.vdf');
+        let apps;
+
+        try {
+            const data = parseVdf(await readFile(configPath, 'utf8'));
+            apps = vdfGet(data, 'UserLocalConfigStore', 'Software', 'Valve', 'Steam', 'apps') || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error reading ${configPath}:`, error.message);
+            }
+            continue;
+        }
+
+        for (const [appId, app] of Object.entries(apps)) {
+            if (typeof app !== 'object') continue;
+
+            const minutes = Number(vdfGet(app, 'Playtime')) || 0;
+            const lastPlayedSeconds = Number(vdfGet(app, 'LastPlayed')) || 0;
+            if (!minutes && !lastPlayedSeconds) continue;
+
+            const entry = {
+                playtime: minutes * 60,
+                lastPlayed: lastPlayedSeconds ? new Date(lastPlayedSeconds * 1000).toISOString() : null
+            };
+            const existing = playtime.get(appId);
+            if (!existing || (entry.lastPlayed || '') > (existing.lastPlayed || '')) {
+                playtime.set(appId, entry);
+            }
+        }
+    }
+
+    return playtime;
+}
@@ -0,0 +1,164 @@
+import SGDB from "steamgriddb";
+
+// Configure SteamGridDB API; without a key, games only get local artwork
+const STEAMGRID_API_KEY = process.env.STEAMGRID;
+
+// The API URL can point to a local mock server for testing
+const STEAMGRID_BASE_URL = process.env.STEAMGRID_BASE_URL;
+
+export const client = STEAMGRID_API_KEY ? new SGDB({key: STEAMGRID_API_KEY, baseURL: STEAMGRID_BASE_URL}) : null;
+
+// SteamGridDB returns at most this many images per page
+export const ARTWORK_PAGE_SIZE = 50;
+
+// Our artwork types and the SteamGridDB method, styles and mimes for each.
+// Artwork is shown in <img> everywhere, so webm videos are never asked for.
+export const ARTWORK_KINDS = {
+    cover: {method: 'getGrids', styles: ['alternate', 'blurred', 'white_logo', 'material', 'no_logo'], mimes: ['image/png', 'image/jpeg', 'image/webp']},
+    hero: {method: 'getHeroes', styles: ['alternate', 'blurred', 'material'], mimes: ['image/png', 'image/jpeg', 'image/webp']},
+    logo: {method: 'getLogos', styles: ['official', 'white', 'black', 'custom'], mimes: ['image/png', 'image/webp']},
+    icon: {method: 'getIcons', styles: ['official', 'custom'], mimes: ['image/png', 'image/vnd.microsoft.icon']}
+};
+
+/**
+ * Check whether a SteamGridDB API key is configured
+ * @returns {boolean}
+ */
+export function isSteamGridDBConfigured() {
+    return client !== null;
+}
+
+// Cache for storing game assets
+const gameAssetCache = new Map();
+
+/**
+ * Search for a game on SteamGridDB
+ * @param {string} gameName - Name of the game to search for
+ * @returns {Promise<Object|null>} - Game data or null if not found
+ */
+export async function searchGameOnSteamGridDB(gameName) {
+    if (!client) return null;
+
+    try {
+        const games = await client.searchGame(gameName);
+        return games && games.length > 0 ? games[0] : null;
+    } catch (error) {
+        console.error('Error searching SteamGridDB:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Get game cover from SteamGridDB
+ * @param {string} gameId - SteamGridDB game ID
+ * @returns {Promise<string|null>} - URL of the game cover or null if not found
+ */
+export async function getGameCover(gameId) {
+    if (!client) return null;
+
+    const cacheKey = `cover-${gameId}`;
+    if (gameAssetCache.has(cacheKey)) {
+        return gameAssetCache.get(cacheKey);
+    }
+
+    try {
+        // First try to get 2:3 aspect ratio grids (600x900 is 2:3)
+        const grids = await client.getGridsById(gameId, {
+            dimensions: ['600x900'],
+            types: ['static'],
+            styles: ['alternate', 'blurred', 'material', 'no_logo']
+        });
+
+        // Filter for 2:3 aspect ratio (within a small tolerance)
+        const filteredGrids = grids ? grids.filter(grid => {
+            if (!grid.width || !grid.height) return false;
+            const aspectRatio = grid.width / grid.height;
+            // Check if aspect ratio is approximately 2:3 (0.666...)
+            return Math.abs(aspectRatio - (2 / 3)) < 0.1; // 10% tolerance
+        }) : [];
+
+        if (filteredGrids.length > 0) {
+            // Sort by resolution (area) in descending order
+            const sortedByResolution = [...filteredGrids].sort((a, b) =>
+                (b.width * b.height) - (a.width * a.height)
+            );
+
+            const coverUrl = sortedByResolution[0].url;
+            gameAssetCache.set(cacheKey, coverUrl);
+            return coverUrl;
+        }
+
+        // If no 2:3 grids found, return null
+        console.log(`No 2:3 aspect ratio grid found for game ID: ${gameId}`);
+        return null;
+    } catch (error) {
+        console.error('Error fetching game cover:', error.message);
+        return null;
+    }
+}
+
+// Bring a SteamGridDB game into the shape the frontend shows
+function toGameInfo(game) {
+    return {
+        id: game.id,
+        name: game.name,
+        releaseYear: game.release_date ? new Date(game.release_date * 1000).getUTCFullYear() : null,
+        verified: Boolean(game.verified)
+    };
+}
+
+/**
+ * Search SteamGridDB for games matching a name, e.g. to fix a wrong automatic match
+ * @param {string} query - Name to search for
+ * @returns {Promise<Array<{id: number, name: string, releaseYear: number|null, verified: boolean}>>}
+ */
+export async function searchSteamGridDBGames(query) {
+    if (!client) return [];
+
+    const games = await client.searchGame(query);
+    return (games || []).map(toGameInfo);
+}
+
+/**
+ * Get a single SteamGridDB game
+ * @param {number} gameId - SteamGridDB game ID
+ * @returns {Promise<Object|null>} - Game in the shape of searchSteamGridDBGames, null without a key
+ */
+export async function getSteamGridDBGame(gameId) {
+    if (!client) return null;
+    return toGameInfo(await client.getGameById(gameId));
+}
+
+/**
+ * List the artwork SteamGridDB has for a game, one page at a time
+ * @param {number} gameId - SteamGridDB game ID
+ * @param {string} type - One of ARTWORK_KINDS
+ * @param {Object} [options]
+ * @param {number} [options.page=0] - Page to fetch
+ * @param {string} [options.style] - Only this style
+ * @param {boolean} [options.animated] - Only animated or only static images, both if omitted
+ * @returns {Promise<Object[]>} - Images with id, url, thumb, size, style and author
+ */
+export async function listSteamGridDBArtwork(gameId, type, {page = 0, style, animated} = {}) {
+    if (!client) return [];
+
+    const images = await client[ARTWORK_KINDS[type].method]({
+        type: 'game',
+        id: gameId,
+        styles: style ? [style] : undefined,
+        mimes: ARTWORK_KINDS[type].mimes,
+        types: animated === undefined ? undefined : [animated ? 'animated' : 'static'],
+        page
+    });
+
+    return (images || []).map(image => ({
+        id: image.id,
+        url: String(image.url),
+        thumb: String(image.thumb || image.url),
+        width: image.width,
+        height: image.height,
+        style: image.style,
+        mime: image.mime,
+        author: image.author?.name || null
+    }));
+}
@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {resolveInside} from './sidecar.js';
+import {splitArgs} from './profiles.js';
+
+/**
+ * Launch targets are the entry points of a game folder, e.g. the game itself,
+ * its config launcher, a Vulkan build or a level editor. The game's executable
+ * is always the target `main`; scans add the others they recognize in
+ * `detectedTargets` and users add their own in `customTargets`:
+ *
+ *     {
+ *         id: 'vulkan',
+ *         label: 'Vulkan',
+ *         executable: 'bin/game_vk.x86_64',
+ *         args: ['-fullscreen']
+ *     }
+ *
+ * `executable` is relative to the game folder. Launch profiles apply to every target.
+ */
+
+export class LaunchTargetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LaunchTargetError';
+    }
+}
+
+export const MAIN_TARGET_ID = 'main';
+
+const MAX_TARGETS = 20;
+const MAX_DETECTED_TARGETS = 8;
+const MAX_LABEL_LENGTH = 100;
+
+// File names that give away what an executable is for, checked in order
+const TARGET_PATTERNS = [
+    [/launcher/i, 'Launcher'],
+    [/vulkan|(^|[-_.])vk($|[-_.])/i, 'Vulkan'],
+    [/dx12|d3d12/i, 'DirectX 12'],
+    [/dx11|d3d11/i, 'DirectX 11'],
+    [/dx9|d3d9/i, 'DirectX 9'],
+    [/opengl|(^|[-_.])gl($|[-_.])/i, 'OpenGL'],
+    [/editor/i, 'Editor'],
+    [/config|settings/i, 'Settings'],
+    [/benchmark/i, 'Benchmark'],
+    [/dedicated|server/i, 'Dedicated Server']
+];
+
+// Build an ID from the label that is unique within the game
+function makeTargetId(label, taken) {
+    const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'target';
+    let id = base;
+    for (let i = 2; taken.has(id); i++) {
+        id = `${base}-${i}`;
+    }
+    return id;
+}
+
+/**
+ * Pick the executables of a game folder that are entry points of their own
+ * @param {Object[]} candidates - Ranked executables from findExecutableCandidates
+ * @param {string} mainExecutable - Executable of the game, relative to its folder
+ * @returns {Object[]} - Detected launch targets
+ */
+export function detectTargets(candidates, mainExecutable) {
+    const ids = new Set([MAIN_TARGET_ID]);
+    const labels = new Map();
+    const targets = [];
+
+    for (const candidate of candidates) {
+        if (targets.length >= MAX_DETECTED_TARGETS) break;
+        if (candidate.path === mainExecutable) continue;
+
+        const fileName = path.basename(candidate.path, path.extname(candidate.path));
+        const label = TARGET_PATTERNS.find(([pattern]) => pattern.test(fileName))?.[1];
+        if (!label) continue;
+
+        // Two launchers, e.g. a 32 and a 64 bit one, are told apart by their file
+        const count = (labels.get(label) || 0) + 1;
+        labels.set(label, count);
+        const shownLabel = count > 1 ? `${label} (${path.basename(candidate.path)})` : label;
+
+        const id = makeTargetId(shownLabel, ids);
+        ids.add(id);
+        targets.push({id, label: shownLabel, executable: candidate.path, args: []});
+    }
+
+    return targets;
+}
+
+/**
+ * All launch targets of a game, the game's own executable first
+ * @param {Object} game - Library entry
+ * @returns {Object[]}
+ */
+export function listTargets(game) {
+    const main = {
+        id: MAIN_TARGET_ID,
+        label: 'Game',
+        executable: game.installPath ? path.relative(game.installPath, game.path) : game.path,
+        args: []
+    };
+
+    // Steam starts its games by app ID, the files in the folder do not matter
+    if (game.source === 'steam') {
+        return [main];
+    }
+
+    return [
+        main,
+        ...(game.detectedTargets || []).map(target => ({...target, source: 'detected'})),
+        ...(game.customTargets || []).map(target => ({...target, source: 'user'}))
+    ];
+}
+
+/**
+ * Pick the target to launch a game with
+ * @param {Object} game - Library entry
+ * @param {string} [targetId] - Requested target, the game's executable if omitted
+ * @returns {{id: string, path: string, args: string[]}} - Target with the absolute path of its executable
+ * @throws {LaunchTargetError} - If the requested target does not exist
+ */
+export function resolveTarget(game, targetId = MAIN_TARGET_ID) {
+    if (targetId === MAIN_TARGET_ID) {
+        return {id: MAIN_TARGET_ID, path: game.path, args: []};
+    }
+
+    const target = listTargets(game).find(t => t.id === targetId);
+    if (!target) {
+        throw new LaunchTargetError(`Launch target "${targetId}" not found`);
+    }
+    return {id: target.id, path: path.join(game.installPath, target.executable), args: target.args};
+}
+
+/**
+ * Validate the launch targets a user added to a game and bring them into their stored shape
+ * @param {Object} game - Library entry the targets belong to
+ * @param {Object[]} targets - Targets to check, `args` may be a command line or a list
+ * @returns {Promise<Object[]>}
+ * @throws {LaunchTargetError} - If a target is invalid
+ */
+export async function normalizeTargets(game, targets) {
+    if (game.source === 'steam') {
+        throw new LaunchTargetError('Steam games launch through Steam');
+    }
+    if (!Array.isArray(targets)) {
+        throw new LaunchTargetError('Targets must be a list');
+    }
+    if (targets.length > MAX_TARGETS) {
+        throw new LaunchTargetError(`A game can have at most ${MAX_TARGETS} targets`);
+    }
+
+    // Detected targets keep their IDs, so the last used one stays valid
+    const ids = new Set([MAIN_TARGET_ID, ...(game.detectedTargets || []).map(target => target.id)]);
+    const normalized = [];
+
+    for (const [index, target] of targets.entries()) {
+        if (!target || typeof target !== 'object') {
+            throw new LaunchTargetError(`Target ${index + 1} is not an object`);
+        }
+
+        const label = typeof target.label === 'string' ? target.label.trim() : '';
+        if (!label) {
+            throw new LaunchTargetError(`Target ${index + 1} needs a label`);
+        }
+        if (label.length > MAX_LABEL_LENGTH) {
+            throw new LaunchTargetError(`Label of target ${index + 1} is longer than ${MAX_LABEL_LENGTH} characters`);
+        }
+
+        const executable = typeof target.executable === 'string' ? target.executable.trim() : '';
+        const filePath = executable && resolveInside(game.installPath, executable);
+        if (!filePath) {
+            throw new LaunchTargetError(`Executable of "${label}" must be a file inside the game folder`);
+        }
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (!stats?.isFile()) {
+            throw new LaunchTargetError(`Executable of "${label}" does not exist`);
+        }
+
+        let args;
+        if (typeof target.args === 'string') {
+            try {
+                args = splitArgs(target.args);
+            } catch (error) {
+                throw new LaunchTargetError(`Arguments of "${label}": ${error.message}`);
+            }
+        } else if (target.args === undefined || target.args === null) {
+            args = [];
+        } else if (Array.isArray(target.args) && target.args.every(arg => typeof arg === 'string')) {
+            args = [...target.args];
+        } else {
+            throw new LaunchTargetError(`Arguments of "${label}" must be a string or a list of strings`);
+        }
+
+        // Keep existing IDs so the last used target survives renames
+        const wantedId = typeof target.id === 'string' && /^[\w-]+$/.test(target.id) ? target.id : null;
+        const id = wantedId && !ids.has(wantedId) ? wantedId : makeTargetId(label, ids);
+        ids.add(id);
+
+        normalized.push({id, label, executable: path.relative(game.installPath, filePath), args});
+    }
+
+    return normalized;
+}
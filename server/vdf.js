@@ -0,0 +1,158 @@
+/**
+ * Parser for Valve's text KeyValues format (VDF), used by Steam for
+ * appmanifest_*.acf, libraryfolders.vdf, localconfig.vdf and friends.
+ *
+ *     "AppState"
+ *     {
+ *         "appid"    "400"
+ *         "name"     "Portal"
+ *     }
+ *
+ * Keys map to either a string or a nested object. Later duplicate keys win.
+ */
+
+export class VdfSyntaxError extends Error {
+    constructor(message, line) {
+        super(`${message} on line ${line}`);
+        this.name = 'VdfSyntaxError';
+        this.line = line;
+    }
+}
+
+const ESCAPES = {n: '\n', t: '\t', r: '\r', '\\': '\\', '"': '"'};
+
+// Split VDF text into strings and braces, skipping comments and [$CONDITION] tags
+function tokenize(text) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (char === '{' || char === '}') {
+            tokens.push({type: char, line});
+            i++;
+        } else if (char === '[') {
+            // Platform conditionals such as [$WIN32] are ignored
+            while (i < text.length && text[i] !== ']' && text[i] !== '\n') i++;
+            i++;
+        } else if (char === '"') {
+            let value = '';
+            const startLine = line;
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    const next = text[i + 1];
+                    value += ESCAPES[next] ?? `\\${next}`;
+                    i += 2;
+                } else {
+                    if (text[i] === '\n') line++;
+                    value += text[i];
+                    i++;
+                }
+            }
+            if (i >= text.length) {
+                throw new VdfSyntaxError('Unterminated string', startLine);
+            }
+            tokens.push({type: 'string', value, line: startLine});
+            i++;
+        } else {
+            // Unquoted token, ends at whitespace, a brace or a quote
+            let value = '';
+            while (i < text.length && !/[\s{}"]/.test(text[i])) {
+                value += text[i];
+                i++;
+            }
+            tokens.push({type: 'string', value, line});
+        }
+    }
+
+    return tokens;
+}
+
+// Define rather than assign, so a "__proto__" key stays a plain key
+function setKey(node, key, value) {
+    Object.defineProperty(node, key, {value, enumerable: true, writable: true, configurable: true});
+}
+
+/**
+ * Parse VDF text into a plain object
+ * @param {string} text - VDF file contents
+ * @returns {Object} - Parsed key/value tree
+ * @throws {VdfSyntaxError} - If the text is not valid VDF
+ */
+export function parseVdf(text) {
+    const tokens = tokenize(text.replace(/^\uFEFF/, ''));
+    const root = {};
+    const stack = [root];
+    let i = 0;
+
+    while (i < tokens.length) {
+        const token = tokens[i];
+        const current = stack[stack.length - 1];
+
+        if (token.type === '}') {
+            if (stack.length === 1) {
+                throw new VdfSyntaxError('Unexpected "}"', token.line);
+            }
+            stack.pop();
+            i++;
+            continue;
+        }
+
+        if (token.type !== 'string') {
+            throw new VdfSyntaxError(`Expected a key but found "${token.type}"`, token.line);
+        }
+
+        const next = tokens[i + 1];
+        if (!next) {
+            throw new VdfSyntaxError(`Missing value for "${token.value}"`, token.line);
+        }
+
+        if (next.type === '{') {
+            const child = {};
+            setKey(current, token.value, child);
+            stack.push(child);
+        } else if (next.type === 'string') {
+            setKey(current, token.value, next.value);
+        } else {
+            throw new VdfSyntaxError(`Unexpected "}" after "${token.value}"`, next.line);
+        }
+        i += 2;
+    }
+
+    if (stack.length > 1) {
+        throw new VdfSyntaxError('Missing "}"', tokens[tokens.length - 1]?.line ?? 1);
+    }
+
+    return root;
+}
+
+/**
+ * Look up a value by path, ignoring key case like Steam does
+ * @param {Object} node - Parsed VDF object
+ * @param {...string} keys - Path of keys to follow
+ * @returns {*} - The value, or undefined if any key is missing
+ */
+export function vdfGet(node, ...keys) {
+    let current = node;
+
+    for (const key of keys) {
+        if (!current || typeof current !== 'object') return undefined;
+
+        const lowerKey = String(key).toLowerCase();
+        const match = Object.keys(current).find(k => k.toLowerCase() === lowerKey);
+        if (match === undefined) return undefined;
+        current = current[match];
+    }
+
+    return current;
+}
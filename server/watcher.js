@@ -0,0 +1,166 @@
+import {watch} from 'fs';
+import fs from 'fs/promises';
+import {join, sep} from 'path';
+import {readConfig} from './config.js';
+import {rescanFolder, rescanLibrary} from './library.js';
+import {findSteamLibraries} from './steam.js';
+
+// Wait for a folder to settle before rescanning it, copies fire many events
+const DEBOUNCE_MS = 2000;
+
+// Only a folder created this recently can be an install in progress, older ones just hold no game
+const RECENT_FOLDER_MS = 10 * 60 * 1000;
+
+// A folder that stops changing for this long is given up on
+const PENDING_IDLE_MS = 10 * 60 * 1000;
+
+// Most folders waited for at once, each one holds a file descriptor
+const MAX_PENDING_WATCHERS = 32;
+
+// Watchers for configured library directories, keyed by path
+const directoryWatchers = new Map();
+
+// Watchers for new folders that do not hold a game yet and the timers that expire them, keyed by folder path
+const pendingWatchers = new Map();
+
+// Debounce timers, keyed by folder path
+const timers = new Map();
+
+function debounce(key, fn) {
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+        timers.delete(key);
+        fn();
+    }, DEBOUNCE_MS));
+}
+
+// Rescan one folder and keep watching it while it is still being filled
+async function handleFolderChange(dirPath, folderName) {
+    const folderPath = join(dirPath, folderName);
+
+    try {
+        const change = await rescanFolder(dirPath, folderName);
+        if (change) {
+            console.log(`Watcher: ${change.game.name} ${change.type}`);
+        }
+
+        if (change && change.type !== 'missing') {
+            stopPendingWatcher(folderPath);
+        } else {
+            await startPendingWatcher(dirPath, folderName);
+        }
+    } catch (error) {
+        console.error(`Watcher: error rescanning ${folderPath}:`, error);
+    }
+}
+
+// A new folder without an executable may still be installing, watch it until one shows up
+async function startPendingWatcher(dirPath, folderName) {
+    const folderPath = join(dirPath, folderName);
+
+    // The folder is still changing, so keep waiting
+    const pending = pendingWatchers.get(folderPath);
+    if (pending) {
+        pending.timer.refresh();
+        return;
+    }
+
+    try {
+        const stats = await fs.stat(folderPath);
+        if (!stats.isDirectory() || Date.now() - (stats.birthtimeMs || stats.ctimeMs) > RECENT_FOLDER_MS) return;
+        if (await isSteamCommonDirectory(dirPath) || pendingWatchers.has(folderPath)) return;
+
+        if (pendingWatchers.size >= MAX_PENDING_WATCHERS) {
+            console.warn(`Watcher: already waiting for ${MAX_PENDING_WATCHERS} folders, not watching ${folderPath}`);
+            return;
+        }
+
+        const watcher = watch(folderPath, () => {
+            debounce(folderPath, () => handleFolderChange(dirPath, folderName));
+        });
+        watcher.on('error', () => stopPendingWatcher(folderPath));
+
+        const timer = setTimeout(() => stopPendingWatcher(folderPath), PENDING_IDLE_MS);
+        timer.unref();
+        pendingWatchers.set(folderPath, {watcher, timer});
+    } catch (error) {
+        // Folder is gone, nothing to wait for
+    }
+}
+
+function stopPendingWatcher(folderPath) {
+    const pending = pendingWatchers.get(folderPath);
+    if (pending) {
+        pending.watcher.close();
+        clearTimeout(pending.timer);
+        pendingWatchers.delete(folderPath);
+    }
+}
+
+// Games in a Steam library's steamapps/common come from the Steam import once their manifest is written
+async function isSteamCommonDirectory(dirPath) {
+    const config = await readConfig();
+    if (config.steamLibrary === false) return false;
+
+    const realDir = await fs.realpath(dirPath).catch(() => dirPath);
+    return (await findSteamLibraries()).some(library => join(library, 'steamapps', 'common') === realDir);
+}
+
+function watchDirectory(dirPath) {
+    try {
+        const watcher = watch(dirPath, (eventType, filename) => {
+            if (!filename) {
+                // Platform did not tell us what changed, fall back to a full rescan
+                debounce(dirPath, () => rescanLibrary().catch(error => {
+                    console.error('Watcher: error rescanning library:', error);
+                }));
+                return;
+            }
+
+            const folderName = filename.toString().split(/[\\/]/)[0];
+            debounce(join(dirPath, folderName), () => handleFolderChange(dirPath, folderName));
+        });
+
+        watcher.on('error', (error) => {
+            console.error(`Watcher: stopped watching ${dirPath}:`, error.message);
+            unwatchDirectory(dirPath);
+        });
+
+        directoryWatchers.set(dirPath, watcher);
+        console.log(`Watching directory: ${dirPath}`);
+    } catch (error) {
+        console.error(`Watcher: cannot watch ${dirPath}:`, error.message);
+    }
+}
+
+function unwatchDirectory(dirPath) {
+    directoryWatchers.get(dirPath)?.close();
+    directoryWatchers.delete(dirPath);
+
+    for (const folderPath of pendingWatchers.keys()) {
+        if (folderPath.startsWith(dirPath + sep)) {
+            stopPendingWatcher(folderPath);
+        }
+    }
+}
+
+/**
+ * Watch every configured directory for added or removed game folders.
+ * Call again after the config changed to pick up added and removed directories.
+ */
+export async function syncWatchers() {
+    const config = await readConfig();
+    const directories = new Set(Array.isArray(config.directories) ? config.directories : []);
+
+    for (const dirPath of [...directoryWatchers.keys()]) {
+        if (!directories.has(dirPath)) {
+            unwatchDirectory(dirPath);
+        }
+    }
+
+    for (const dirPath of directories) {
+        if (!directoryWatchers.has(dirPath)) {
+            watchDirectory(dirPath);
+        }
+    }
+}